@@ -0,0 +1,84 @@
+const Archive = require(`Archive.js`);
+const SignedMessage = require(`SignedMessage.js`);
+const SocialNetwork = require(`SocialNetwork.js`);
+const Key = require(`Key.js`);
+const GUN = require(`gun`);
+const SEA = require(`gun/sea`);
+const then = require(`gun/lib/then`);
+const radix = require(`gun/lib/radix`); // Require before instantiating Gun, if running in jsdom mode
+const util = require(`util.js`);
+
+// separate relays for the exporting and the importing gun instance
+const server1 = require('http').createServer(GUN.serve);
+const server2 = require('http').createServer(GUN.serve);
+GUN({radisk: false, web: server1.listen(8771), multicast: false});
+GUN({radisk: false, web: server2.listen(8772), multicast: false});
+
+jest.setTimeout(30000);
+
+describe(`Archive`, () => {
+  let key, msgs, ndjson;
+  beforeAll(async () => {
+    key = await Key.generate();
+    msgs = [
+      await SignedMessage.createRating({recipient: {email: `alice@example.com`}, rating: 5}, key),
+      await SignedMessage.createRating({recipient: {email: `bob@example.com`}, rating: -5}, key),
+      await SignedMessage.create({type: `post`, text: `hello`}, key)
+    ];
+    const tampered = JSON.parse(msgs[0].toString());
+    tampered.signedData = tampered.signedData.replace(`alice`, `mallory`);
+    ndjson = [msgs[0].toString(), ``, msgs[1].toString(), `not json`, JSON.stringify(tampered), msgs[1].toString(), msgs[2].toString()].join(`\n`);
+  });
+  test(`readMessages() from NDJSON`, async () => {
+    const {messages, duplicates, invalid} = await Archive.readMessages(ndjson);
+    expect(messages.map(m => m.signedData.type)).toEqual([`rating`, `rating`, `post`]);
+    expect(duplicates).toBe(1);
+    expect(invalid.map(i => i.index)).toEqual([3, 4]);
+    expect(invalid[0].error).toMatch(/Invalid JSON/);
+  });
+  test(`readMessages() from JSON array`, async () => {
+    const arr = JSON.stringify([msgs[0].serialize(), {sig: `invalid`}]);
+    const {messages, invalid} = await Archive.readMessages(arr);
+    expect(messages.length).toBe(1);
+    expect(await messages[0].getHash()).toBe(await msgs[0].getHash());
+    expect(invalid).toEqual([{index: 1, error: expect.any(String)}]);
+  });
+  test(`importMessages()`, async () => {
+    const index = new SocialNetwork({gun: new GUN({radisk: false, multicast: false}), keypair: key});
+    const report = await Archive.importMessages(index, ndjson);
+    expect(report).toMatchObject({added: 2, duplicates: 1, skipped: 1});
+    expect(report.invalid.length).toBe(2);
+    expect(index.getContacts(`bob@example.com`, `email`).receivedNegative).toBe(1);
+    expect((await Archive.importMessages(index, ndjson)).duplicates).toBe(3);
+  });
+  test(`exportIdentity() and import into another gun`, async () => {
+    const gun1 = new GUN({radisk: false, multicast: false, peers: [`http://localhost:8771/gun`]});
+    const index1 = new SocialNetwork({gun: gun1, keypair: key, indexSync: {msgTypes: {post: true}}});
+    const otherKey = await Key.generate();
+    const othersMsg = await SignedMessage.createRating({recipient: {email: `carol@example.com`}, rating: 1}, otherKey);
+    // concurrent puts to new paths in user space may get lost
+    await util.gunOnceDefined(gun1.user(key.pub).get(`iris`).get(`contacts`));
+    await index1.addMessages([msgs[0], msgs[2], othersMsg]);
+    await util.gunOnceDefined(gun1.user(key.pub).get(`iris`).get(`messagesByHash`).get(await othersMsg.getHash()));
+    index1.user.put({profile: {name: `Alice`}, follow: {[otherKey.pub]: true}, chats: {someChannel: {pub: `encrypted`, latestMsg: `encrypted`}, noPub: {latestMsg: `encrypted`}}});
+    await util.gunOnceDefined(gun1.user(key.pub).get(`chats`).get(`someChannel`).get(`pub`));
+
+    const archive = await Archive.exportIdentity(gun1, key);
+    const {messages} = await Archive.readMessages(archive);
+    expect(messages.map(m => m.signedData.type).sort()).toEqual([`identityArchive`, `post`, `rating`]);
+    const manifest = messages.find(m => m.signedData.type === `identityArchive`);
+    expect(manifest.signedData.messages.length).toBe(2);
+    expect(manifest.signedData.userData).toEqual({
+      profile: {name: `Alice`},
+      follow: {[otherKey.pub]: true},
+      chats: {someChannel: {pub: `encrypted`}}
+    });
+
+    const gun2 = new GUN({radisk: false, multicast: false, peers: [`http://localhost:8772/gun`]});
+    const index2 = new SocialNetwork({gun: gun2, keypair: key, indexSync: {msgTypes: {all: true}}});
+    const report = await Archive.importMessages(index2, archive);
+    expect(report).toMatchObject({added: 2, invalid: [], identities: [{keyID: await Key.getId(key), restored: true, missing: 0}]});
+    expect(await util.gunOnceDefined(gun2.user(key.pub).get(`profile`).get(`name`))).toBe(`Alice`);
+    expect(await util.gunOnceDefined(gun2.user(key.pub).get(`chats`).get(`someChannel`).get(`pub`))).toBe(`encrypted`);
+  });
+});
@@ -83,6 +83,29 @@ test(`User2 says hi`, async (done) => {
   });
 });
 
+test(`Get messages a page at a time`, async () => {
+  const user1 = await iris.Key.generate();
+  const user1Channel = new iris.Channel({gun: new GUN({radisk: false, multicast: false}), key: user1, participants: user1.pub});
+  for (let i = 1;i <= 5;i++) {
+    await user1Channel.send({text: `msg ${i}`, time: `2020-01-0${i}T00:00:00.000Z`});
+  }
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  const texts = page => page.map(m => m.message.text);
+  const query = jest.spyOn(user1Channel, `_queryMessages`);
+  const latest = await user1Channel.getMessages({limit: 2});
+  expect(query.mock.calls[0][1][`<`]).toBeTruthy();
+  query.mock.calls.forEach(call => expect(call[1][`>`]).toBeTruthy()); // the whole history is never requested
+  query.mockRestore();
+  expect(texts(latest)).toEqual([`msg 4`, `msg 5`]);
+  expect(latest[0].info.selfAuthored).toBe(true);
+  const older = await user1Channel.getMessages({limit: 2, before: latest[0].message.time});
+  expect(texts(older)).toEqual([`msg 2`, `msg 3`]);
+  expect(texts(await user1Channel.getMessages({after: `2020-01-03T00:00:00.000Z`}))).toEqual([`msg 4`, `msg 5`]);
+  const newMsg = new Promise(resolve => user1Channel.getMessages({after: latest[1].message.time, callback: resolve}));
+  user1Channel.send(`msg 6`);
+  expect((await newMsg).text).toBe(`msg 6`);
+}, 30000);
+
 test(`3 users send and receive messages and key-value pairs on a group channel`, async (done) => {
   const user1 = await iris.Key.generate();
   const user2 = await iris.Key.generate();
@@ -356,3 +379,172 @@ test(`Save and retrieve direct and group channels`, async (done) => {
     }
   });
 });
+
+test(`Edit and delete messages`, async () => {
+  const user1 = await iris.Key.generate();
+  const user1Channel = new iris.Channel({gun: new GUN({radisk: false, multicast: false}), key: user1, participants: user1.pub});
+  const time = `2020-01-01T00:00:00.000Z`;
+  const received = [];
+  const latest = [];
+  const next = () => new Promise(resolve => {
+    const check = () => (received.length ? resolve(received.shift()) : setTimeout(check, 50));
+    check();
+  });
+  const waitForLatest = f => new Promise(resolve => {
+    const check = () => (latest.length && f(latest[latest.length - 1]) ? resolve() : setTimeout(check, 50));
+    check();
+  });
+  user1Channel.getMessages(msg => received.push(msg));
+  user1Channel.getLatestMsg(msg => latest.push(msg));
+  await user1Channel.send({text: `helo`, time});
+  expect((await next()).text).toBe(`helo`);
+  await waitForLatest(msg => msg.text === `helo`);
+  await user1Channel.editMessage(time, `hello`);
+  const edited = await next();
+  expect(edited.text).toBe(`hello`);
+  expect(edited.edited).toBeDefined();
+  await waitForLatest(msg => msg.text === `hello`);
+  await user1Channel.deleteMessage(time);
+  const deleted = await next();
+  expect(deleted.deleted).toBe(true);
+  expect(deleted.text).toBeUndefined();
+  await waitForLatest(msg => msg.deleted);
+  await expect(user1Channel.deleteMessage(`not a time`)).rejects.toThrow(`time param`);
+  await expect(user1Channel.editMessage(`2019-01-01T00:00:00.000Z`, `not sent`)).rejects.toThrow(`time param`);
+
+  // messages of an earlier session can be edited
+  const channelAgain = new iris.Channel({gun: user1Channel.gun, key: user1, participants: user1.pub});
+  await channelAgain.editMessage(time, `edited again`);
+  expect((await next()).text).toBe(`edited again`);
+}, 30000);
+
+test(`Send and receive messages with a ratchet`, async () => {
+  const user1 = await iris.Key.generate();
+  const user2 = await iris.Key.generate();
+  expect(() => new iris.Channel({gun: gun1, key: user1, participants: {[user2.pub]: {}}, ratchet: true})).toThrow(`direct channels`);
+  const user1Channel = new iris.Channel({gun: gun1, key: user1, participants: user2.pub, ratchet: true});
+  const user2Channel = new iris.Channel({gun: gun2, key: user2, participants: user1.pub, ratchet: true});
+  const received = {user1: [], user2: []};
+  user1Channel.getMessages(msg => received.user1.push(msg.text));
+  user2Channel.getMessages(msg => received.user2.push(msg.text));
+  const waitFor = (arr, text) => new Promise(resolve => {
+    const check = () => (arr.indexOf(text) > -1 ? resolve() : setTimeout(check, 50));
+    check();
+  });
+  await user1Channel.send(`hi`);
+  await waitFor(received.user2, `hi`);
+  await user2Channel.send(`hello`);
+  await waitFor(received.user1, `hello`);
+  expect(received.user1).toContain(`hi`); // own message
+  await user1Channel.send(`how are you?`);
+  await waitFor(received.user2, `how are you?`);
+  const plainChannel = new iris.Channel({gun: new GUN({radisk: false, multicast: false}), key: user2, participants: user1.pub});
+  const putDirect = jest.spyOn(plainChannel, `putDirect`);
+  await plainChannel.getRatchet(user1.pub);
+  expect(putDirect).not.toHaveBeenCalledWith(`ratchetEpub`, expect.anything()); // not opted in
+}, 30000);
+
+test(`Group secret is changed when a participant is removed`, async () => {
+  const user1 = await iris.Key.generate();
+  const user2 = await iris.Key.generate();
+  const user3 = await iris.Key.generate();
+  iris.Channel.initUser(gun2, user2);
+  iris.Channel.initUser(superNode, user3);
+  const user1Channel = new iris.Channel({gun: gun1, key: user1, participants: [user2.pub, user3.pub]});
+  const participantsBefore = JSON.parse(JSON.stringify(user1Channel.participants));
+  const encrypt = jest.spyOn(user1Channel, `_encryptGroupData`);
+  const encrypted = text => encrypt.mock.results[encrypt.mock.calls.findIndex(args => JSON.parse(args[0]).text === text)].value;
+  const oldSecret = user1Channel.getMyGroupSecret();
+  await user1Channel.send({text: `before`, time: `2020-01-01T00:00:00.000Z`});
+  const before = await encrypted(`before`);
+  await user1Channel.removeParticipant(user3.pub);
+  const newSecret = user1Channel.getMyGroupSecret();
+  expect(newSecret).not.toBe(oldSecret);
+  expect(user1Channel.participants[user3.pub].read).toBe(false);
+  expect(user1Channel.hasReadPermission(user3.pub)).toBeFalsy();
+  expect(user1Channel.hasReadPermission(user2.pub)).toBe(true);
+  expect(user1Channel.oldGroupSecrets[user1.pub]).toEqual([oldSecret]);
+
+  await user1Channel.send({text: `after`, time: `2020-01-02T00:00:00.000Z`});
+  const after = await encrypted(`after`);
+  expect(await SEA.decrypt(after, oldSecret)).toBeUndefined(); // the removed participant has only the old secret
+  expect((await SEA.decrypt(after, newSecret)).text).toBe(`after`);
+  expect(JSON.parse(after.slice(3)).k).toBe(await user1Channel._getGroupSecretId(newSecret));
+  expect((await user1Channel._decryptGroupData(before, user1.pub)).text).toBe(`before`); // with the archived secret
+  expect((await user1Channel._decryptGroupData(after, user1.pub)).text).toBe(`after`);
+
+  // remaining participants change their secret when they get the new participants list
+  const user2Channel = new iris.Channel({gun: gun2, key: user2, participants: participantsBefore, uuid: user1Channel.uuid});
+  const user2OldSecret = user2Channel.getMyGroupSecret();
+  expect(user2Channel.participantsReceived(JSON.parse(JSON.stringify(user1Channel.participants)), user1.pub)).toBe(true);
+  expect(user2Channel.getMyGroupSecret()).not.toBe(user2OldSecret);
+  expect(user2Channel.oldGroupSecrets[user2.pub]).toEqual([user2OldSecret]);
+  expect(user2Channel.hasReadPermission(user3.pub)).toBeFalsy();
+}, 30000);
+
+test(`Key-value pairs are stored under hashed key names`, async () => {
+  const user1 = await iris.Key.generate();
+  const gun = new GUN({radisk: false, multicast: false});
+  const user1Channel = new iris.Channel({gun, key: user1, participants: user1.pub});
+  const received = {};
+  const waitFor = (key, value) => new Promise(resolve => {
+    const check = () => (received[key] === value ? resolve() : setTimeout(check, 50));
+    check();
+  });
+  user1Channel.on(`mood`, mood => received.mood = mood);
+  await user1Channel.put(`mood`, `blessed`);
+  await waitFor(`mood`, `blessed`);
+  const node = gun.user().get(`chats`).get(await user1Channel.getOurSecretChannelId(user1.pub));
+  const secret = await user1Channel.getSecret(user1.pub);
+  expect(await node.get(await iris.util.getHmac(`mood`, secret)).then()).toBeTruthy();
+  expect(await Promise.race([node.get(`mood`).then(), new Promise(resolve => setTimeout(resolve, 1000))])).toBeFalsy();
+
+  // values saved under plaintext key names by earlier versions are still read
+  node.get(`color`).put(await SEA.encrypt(JSON.stringify(`blue`), secret));
+  user1Channel.on(`color`, color => received.color = color);
+  await waitFor(`color`, `blue`);
+
+  const user2 = await iris.Key.generate();
+  const gun2 = new GUN({radisk: false, multicast: false});
+  const user2Channel = new iris.Channel({gun: gun2, key: user2, participants: user2.pub, legacyKeyNames: true});
+  await user2Channel.put(`mood`, `blessed`);
+  const node2 = gun2.user().get(`chats`).get(await user2Channel.getOurSecretChannelId(user2.pub));
+  expect(await node2.get(await iris.util.getHmac(`mood`, await user2Channel.getSecret(user2.pub))).then()).toBeTruthy();
+  expect(await node2.get(`mood`).then()).toBeTruthy(); // for earlier versions, if opted in
+}, 30000);
+
+test(`Group channel key names change with the group secret`, async () => {
+  const user1 = await iris.Key.generate();
+  const gun = new GUN({radisk: false, multicast: false});
+  const channel = new iris.Channel({gun, key: user1, participants: {[user1.pub]: {read: true, write: true}}});
+  let topic;
+  const waitFor = value => new Promise(resolve => {
+    const check = () => (topic === value ? resolve() : setTimeout(check, 50));
+    check();
+  });
+  channel.onMy(`topic`, value => topic = value);
+  await channel.put(`topic`, `first`);
+  await waitFor(`first`);
+  const node = gun.user().get(`chats`).get(await channel.getMySecretUuid());
+  const oldSecret = channel.getMyGroupSecret();
+  expect(await node.get(await iris.util.getHmac(`topic`, oldSecret)).then()).toBeTruthy();
+  expect(await Promise.race([node.get(await iris.util.getHmac(`topic`, channel.uuid)).then(), new Promise(resolve => setTimeout(resolve, 1000))])).toBeFalsy();
+  channel.changeMyGroupSecret();
+  await channel.put(`topic`, `second`);
+  await waitFor(`second`);
+  expect(await node.get(await iris.util.getHmac(`topic`, channel.getMyGroupSecret())).then()).toBeTruthy();
+}, 30000);
+
+test(`Group secrets saved under the plaintext key name by earlier versions are read`, async () => {
+  const user1 = await iris.Key.generate();
+  const user2 = await iris.Key.generate();
+  const gunA = new GUN({radisk: false, multicast: false, peers: ['http://localhost:8768/gun']});
+  const gunB = new GUN({radisk: false, multicast: false, peers: ['http://localhost:8768/gun']});
+  iris.Channel.initUser(gunB, user2);
+  const user1Channel = new iris.Channel({gun: gunA, key: user1, participants: [user2.pub]});
+  const secret = await user1Channel.getSecret(user2.pub);
+  const theirSecretChannelId = await user1Channel.getTheirSecretChannelId(user2.pub);
+  // user2's group secret as written by an earlier version
+  gunB.user().get(`chats`).get(theirSecretChannelId).get(`S${user1Channel.uuid}`).put(await SEA.encrypt(JSON.stringify(`oldVersionSecret`), secret));
+  expect(await user1Channel.getTheirGroupSecret(user2.pub)).toBe(`oldVersionSecret`);
+}, 30000);
@@ -0,0 +1,93 @@
+const Ratchet = require(`Ratchet.js`);
+const Gun = require(`gun`);
+require(`gun/sea`);
+
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+  };
+}
+
+async function createPair(storages = {}) {
+  const key1 = await Gun.SEA.pair();
+  const key2 = await Gun.SEA.pair();
+  const secret = await Gun.SEA.secret(key2.epub, key1);
+  const published = {r1: [], r2: []};
+  const r1 = new Ratchet({key: key1, theirEpub: key2.epub, secret, storage: storages.r1, onNewEpub: e => published.r1.push(e)});
+  const r2 = new Ratchet({key: key2, theirEpub: key1.epub, secret, storage: storages.r2, onNewEpub: e => published.r2.push(e)});
+  return {key1, key2, secret, r1, r2, published};
+}
+
+describe(`Ratchet`, () => {
+  test(`encrypt and decrypt`, async () => {
+    const {r1, r2} = await createPair();
+    const payload = await r1.encrypt({time: `2020-01-01T00:00:00.000Z`, text: `hi`});
+    expect(Ratchet.isPayload(payload)).toBe(true);
+    expect(payload).not.toContain(`hi`);
+    expect(await r2.decrypt(payload)).toEqual({time: `2020-01-01T00:00:00.000Z`, text: `hi`});
+    expect(await r1.decrypt(payload)).toEqual({time: `2020-01-01T00:00:00.000Z`, text: `hi`}); // own message from cache
+    const reply = await r2.encrypt({text: `hello`});
+    expect(await r1.decrypt(reply)).toEqual({text: `hello`});
+  });
+  test(`each message has its own key and can be decrypted out of order`, async () => {
+    const {r1, r2} = await createPair();
+    const payloads = [];
+    for (let i = 0;i < 3;i++) {
+      payloads.push(await r1.encrypt({n: i}));
+    }
+    const data = payloads.map(p => JSON.parse(p.slice(`RATCHET`.length)).data);
+    expect(new Set(data).size).toBe(3);
+    expect(await r2.decrypt(payloads[2])).toEqual({n: 2});
+    expect(await r2.decrypt(payloads[0])).toEqual({n: 0});
+    expect(await r2.decrypt(payloads[1])).toEqual({n: 1});
+  });
+  test(`keys are rotated and old ones deleted`, async () => {
+    const {r1, r2, published} = await createPair();
+    const firstEpub = await r1.getEpub();
+    await r2.decrypt(await r1.encrypt({text: `1`}));
+    await r2.setTheirEpub(await r1.getEpub());
+    const reply = await r2.encrypt({text: `2`});
+    expect(JSON.parse(reply.slice(`RATCHET`.length)).header.to).toBe(firstEpub);
+    await r1.decrypt(reply);
+    const next = await r1.encrypt({text: `3`});
+    expect(published.r1.length).toBe(1);
+    expect(await r1.getEpub()).toBe(published.r1[0]);
+    expect(await r2.decrypt(next)).toEqual({text: `3`});
+    await r1.decrypt(await r2.encrypt({text: `4`})); // addressed to r1's new key
+    expect(r1.state.myPairs.map(p => p.epub)).toEqual([published.r1[0]]);
+  });
+  test(`receiving chains from their old epubs are deleted`, async () => {
+    const {r1, r2} = await createPair();
+    const late = await r1.encrypt({text: `late`});
+    await r2.decrypt(await r1.encrypt({text: `1`}));
+    await r1.setTheirEpub(await r2.getEpub());
+    await r2.decrypt(await r1.encrypt({text: `2`})); // to r2's ephemeral key
+    expect(Object.keys(r2.state.receiving).map(chainId => chainId.split(`:`)[1])).toEqual([await r2.getEpub()]);
+    expect(await r2.decrypt(late)).toBeUndefined();
+  });
+  test(`tampered and foreign payloads are not decrypted`, async () => {
+    const {r1, r2} = await createPair();
+    const other = await createPair();
+    expect(await r2.decrypt(await other.r1.encrypt({text: `hi`}))).toBeUndefined();
+    expect(await r2.decrypt(`RATCHET{invalid`)).toBeUndefined();
+    const payload = JSON.parse((await r1.encrypt({text: `hi`})).slice(`RATCHET`.length));
+    payload.header.n = 1;
+    expect(await r2.decrypt(`RATCHET${JSON.stringify(payload)}`)).toBeUndefined();
+  });
+  test(`history is loaded from storage`, async () => {
+    const storages = {r1: memoryStorage(), r2: memoryStorage()};
+    const {key1, key2, secret, r1, r2} = await createPair(storages);
+    const payload = await r1.encrypt({text: `hi`});
+    expect(await r2.decrypt(payload)).toEqual({text: `hi`});
+    const reloaded = new Ratchet({key: key2, theirEpub: key1.epub, secret, storage: storages.r2});
+    expect(await reloaded.decrypt(payload)).toEqual({text: `hi`});
+    expect(await reloaded.getEpub()).toBe(await r2.getEpub());
+    const notStored = new Ratchet({key: key1, theirEpub: key2.epub, secret});
+    expect(await notStored.decrypt(payload)).toBeUndefined();
+    const storageKey = `iris.ratchet.${key1.epub}`;
+    expect(JSON.parse(storages.r2.getItem(storageKey)).cache).toBeUndefined(); // plaintext is stored apart from the keys
+    expect(JSON.parse(storages.r2.getItem(`${storageKey}.cache`))).toEqual({[Object.keys(reloaded.cache)[0]]: {text: `hi`}});
+  });
+});
@@ -0,0 +1,39 @@
+const SignatureCache = require(`SignatureCache.js`);
+
+function memoryStorage() {
+  const items = {};
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+  };
+}
+
+describe(`SignatureCache`, () => {
+  test(`get() and set()`, () => {
+    const cache = new SignatureCache();
+    cache.set(`hash1`, `pub1`);
+    expect(cache.get(`hash1`)).toBe(`pub1`);
+    expect(cache.has(`hash1`, `pub1`)).toBe(true);
+    expect(cache.has(`hash1`, `pub2`)).toBe(false);
+    expect(cache.get(`hash2`)).toBeUndefined();
+  });
+  test(`drops least recently used entries`, () => {
+    const cache = new SignatureCache({maxSize: 2});
+    cache.set(`hash1`, `pub`);
+    cache.set(`hash2`, `pub`);
+    cache.get(`hash1`);
+    cache.set(`hash3`, `pub`);
+    expect(cache.size).toBe(2);
+    expect(cache.get(`hash1`)).toBe(`pub`);
+    expect(cache.get(`hash2`)).toBeUndefined();
+  });
+  test(`is loaded from storage`, () => {
+    const storage = memoryStorage();
+    const cache = new SignatureCache({storage});
+    cache.set(`hash1`, `pub1`);
+    cache.save();
+    expect(new SignatureCache({storage}).get(`hash1`)).toBe(`pub1`);
+    storage.setItem(`iris.signatureCache`, `corrupted`);
+    expect(new SignatureCache({storage}).size).toBe(0);
+  });
+});
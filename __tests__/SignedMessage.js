@@ -4,6 +4,13 @@ const Attribute = require(`Attribute.js`);
 const SignedMessage = require(`SignedMessage.js`);
 const Contact = require(`Contact.js`);
 const Key = require(`Key.js`);
+const util = require(`util.js`);
+const SignatureCache = require(`SignatureCache.js`);
+const Gun = require(`gun`);
+require(`gun/sea`);
+require(`gun/lib/radix`); // Require before instantiating Gun, if running in jsdom mode
+const server = require(`http`).createServer(Gun.serve);
+Gun({radisk: false, web: server.listen(8773), multicast: false});
 
 jest.setTimeout(30000);
 
@@ -35,7 +42,7 @@ describe(`SignedMessage`, async () => {
         text: `Good guy`
       }, defaultKey);
       expect(msg).toHaveProperty(`signedData.author`);
-      expect(JSON.stringify(msg.signedData.author)).toEqual(`{"keyID":"${  Key.getId(defaultKey)  }"}`);
+      expect(JSON.stringify(msg.signedData.author)).toEqual(`{"keyID":"${  await Key.getId(defaultKey)  }"}`);
     });
   });
   describe(`createVerification method`, async () => {
@@ -74,6 +81,242 @@ describe(`SignedMessage`, async () => {
       expect(f).toThrow(Error);
     });
   });
+  describe(`keyID author`, async () => {
+    test(`should be the hash of the signer's public key`, async () => {
+      const key = await Key.generate();
+      const otherKey = await Key.generate();
+      const m = await SignedMessage.create({type: `post`, text: `hi`}, key);
+      expect(m.signedData.author.keyID).toEqual(await m.getSignerKeyID());
+      expect(await SignedMessage.fromString(m.toString())).toBeInstanceOf(SignedMessage);
+      const other = await SignedMessage.create({type: `post`, text: `hi`, author: {keyID: await Key.getId(otherKey)}}, key).catch(e => e);
+      expect(other).toBeInstanceOf(Error);
+    });
+    test(`should accept legacy messages with the full public key as keyID`, async () => {
+      const key = await Key.generate();
+      const m = await SignedMessage.create({type: `post`, text: `hi`, author: {keyID: key.pub}}, key);
+      expect(await m.verify()).toBe(true);
+    });
+  });
+  describe(`createKeyRotation method`, async () => {
+    test(`should be signed by both keys`, async () => {
+      const oldKey = await Key.generate();
+      const newKey = await Key.generate();
+      const rotation = await SignedMessage.createKeyRotation(oldKey, newKey);
+      expect(rotation.signedData.type).toEqual(`keyRotation`);
+      expect(rotation.pubKey).toEqual(oldKey.pub);
+      expect(await rotation.verify()).toBe(true);
+    });
+    test(`should not accept a key that didn't sign the rotation`, async () => {
+      const oldKey = await Key.generate();
+      const newKey = await Key.generate();
+      const otherKey = await Key.generate();
+      const rotation = await SignedMessage.createKeyRotation(oldKey, newKey);
+      const forged = await SignedMessage.create(Object.assign({}, rotation.signedData, {
+        recipient: {keyID: await Key.getId(otherKey)},
+        newPubKey: otherKey.pub
+      }), oldKey);
+      await expect(forged.verify()).rejects.toThrow(/newKeySig/);
+      await expect(SignedMessage.fromString(forged.toString())).rejects.toThrow(/newKeySig/);
+    });
+  });
+  describe(`Message type registry`, async () => {
+    afterAll(() => {
+      SignedMessage.unregisterType(`post`);
+      SignedMessage.setRejectUnknownTypes(false);
+    });
+    test(`built-in types are registered`, () => {
+      expect(SignedMessage.getRegisteredTypes()).toEqual(expect.arrayContaining([`rating`, `verification`, `unverification`, `keyRotation`]));
+    });
+    test(`should validate messages against a registered schema`, async () => {
+      const createPost = SignedMessage.registerType(`post`, {
+        schema: {
+          required: [`text`],
+          properties: {text: {type: `string`, maxLength: 10}, tags: {type: `array`, items: {type: `string`}}}
+        },
+        validate: d => d.text !== `spam`,
+        create: d => { d.tags = d.tags || []; }
+      });
+      const post = await createPost({author: {email: `alice@example.com`}, text: `hello`});
+      expect(post.signedData.type).toEqual(`post`);
+      expect(post.signedData.tags).toEqual([]);
+      await expect(createPost({author: {email: `alice@example.com`}})).rejects.toThrow(/missing text/);
+      await expect(createPost({author: {email: `alice@example.com`}, text: `hello world!`})).rejects.toThrow(/post.text must be at most 10/);
+      await expect(createPost({author: {email: `alice@example.com`}, text: `hi`, tags: [1]})).rejects.toThrow(/post.tags\[0\] must be string/);
+      await expect(createPost({author: {email: `alice@example.com`}, text: `spam`})).rejects.toThrow(/Invalid post message/);
+    });
+    test(`should validate built-in types`, async () => {
+      await expect(SignedMessage.createRating({author: {email: `alice@example.com`}, recipient: {email: `bob@example.com`}, rating: 11})).rejects.toThrow(/above maxRating/);
+      await expect(SignedMessage.createVerification({author: {email: `alice@example.com`}, recipient: {email: `bob@example.com`}})).rejects.toThrow(/At least 2 recipient attributes/);
+    });
+    test(`unknown types can be rejected`, async () => {
+      const data = () => ({type: `like`, author: {email: `alice@example.com`}});
+      expect(await SignedMessage.create(data())).toBeInstanceOf(SignedMessage);
+      SignedMessage.setRejectUnknownTypes(true);
+      await expect(SignedMessage.create(data())).rejects.toThrow(/Unknown message type like/);
+    });
+  });
+  describe(`Canonical serialization`, async () => {
+    let key;
+    beforeAll(async () => {
+      key = await Key.generate();
+    });
+    test(`canonicalJSON() sorts keys and drops whitespace`, () => {
+      expect(util.canonicalJSON({b: [2, {d: 1, c: `x`}], a: null, e: undefined})).toEqual(`{"a":null,"b":[2,{"c":"x","d":1}]}`);
+    });
+    test(`hash doesn't change when signedData is re-serialized`, async () => {
+      const m = await SignedMessage.createRating({recipient: {email: `bob@example.com`, name: [`Bob`, `Robert`]}, rating: 5}, key);
+      expect(m.signedData.version).toEqual(1);
+      const s = m.serialize();
+      const reordered = {};
+      Object.keys(m.signedData).reverse().forEach(k => reordered[k] = m.signedData[k]);
+      const m2 = await SignedMessage.fromSig({pubKey: s.pubKey, sig: s.sig, signedData: JSON.stringify(reordered, null, 2)});
+      expect(await m2.getHash()).toEqual(await m.getHash());
+      expect(m2.signedData).toEqual(m.signedData);
+    });
+    test(`modified signedData is not accepted`, async () => {
+      const m = await SignedMessage.createRating({recipient: {email: `bob@example.com`}, rating: 5}, key);
+      const s = m.serialize();
+      s.signedData = s.signedData.replace(`"rating":5`, `"rating":10`);
+      await expect(SignedMessage.fromSig(s)).rejects.toThrow(/Invalid signature/);
+    });
+    test(`legacy messages are accepted`, async () => {
+      const m = new SignedMessage({signedData: {type: `post`, author: {keyID: key.pub}, text: `hi`, time: (new Date()).toISOString()}});
+      await m.sign(key);
+      expect(m.isLegacy()).toBe(true);
+      expect(Object.keys(m.serialize())).toEqual([`sig`, `pubKey`]);
+      const m2 = await SignedMessage.fromString(m.toString());
+      expect(await m2.verify()).toBe(true);
+      expect(await m2.getHash()).toEqual(await util.getHash(m.sig));
+    });
+  });
+  describe(`verifyBatch method`, async () => {
+    afterEach(() => SignedMessage.setSignatureCache(null));
+    test(`should verify many messages`, async () => {
+      const key = await Key.generate();
+      const msgs = [];
+      for (let i = 0;i < 5;i++) {
+        msgs.push(await SignedMessage.create({type: `post`, text: `msg ${i}`}, key));
+      }
+      expect(await SignedMessage.verifyBatch(msgs, 2)).toEqual([true, true, true, true, true]);
+      msgs[4].pubKey = (await Key.generate()).pub;
+      expect(await SignedMessage.verifyBatch(msgs, 2)).toEqual([true, true, true, true, false]);
+    });
+    test(`should not verify cached signatures again`, async () => {
+      const key = await Key.generate();
+      const s = (await SignedMessage.create({type: `post`, text: `hello`}, key)).toString();
+      SignedMessage.setSignatureCache(new SignatureCache());
+      const spy = jest.spyOn(Key, `verify`);
+      const m = await SignedMessage.fromString(s);
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(await SignedMessage.fromString(s)).toEqual(m);
+      expect(await SignedMessage.verifyBatch([m])).toEqual([true]);
+      expect(spy).toHaveBeenCalledTimes(1);
+      spy.mockRestore();
+    });
+    test(`should not accept another signature of a cached message`, async () => {
+      const key = await Key.generate();
+      const m = await SignedMessage.create({type: `post`, text: `hello`}, key);
+      SignedMessage.setSignatureCache(new SignatureCache());
+      expect(await m.verify()).toBe(true);
+      const forged = new SignedMessage({signedData: m.signedData, pubKey: m.pubKey, sig: await Key.sign(await m.getHash(), await Key.generate())});
+      expect(await SignedMessage.verifyBatch([forged])).toEqual([false]);
+    });
+  });
+  describe(`replies and quotes`, async () => {
+    test(`replyTo and quote must be message hashes`, async () => {
+      const key = await Key.generate();
+      const post = await SignedMessage.create({type: `post`, text: `hello`}, key);
+      const reply = await SignedMessage.createReply(post, {text: `hi`}, key);
+      expect(reply.signedData.replyTo).toBe(await post.getHash());
+      expect(reply.isReply()).toBe(true);
+      expect(reply.isQuote()).toBe(false);
+      const quote = await SignedMessage.createQuote(post, {text: `look at this`}, key);
+      expect(quote.isQuote()).toBe(true);
+      expect(quote.isRepost()).toBe(false);
+      expect(await SignedMessage.fromString(reply.toString())).toEqual(reply);
+      await expect(SignedMessage.create({type: `post`, text: `hi`, replyTo: `not a hash`}, key)).rejects.toThrow(`replyTo must be a message hash`);
+      await expect(SignedMessage.create({type: `post`, quote: 5}, key)).rejects.toThrow(`quote must be a message hash`);
+      await expect(SignedMessage.createOfType(`retraction`, {retracts: `not a hash`}, key)).rejects.toThrow(`retracts must be a message hash`);
+    });
+  });
+  describe(`bridge method`, async () => {
+    test(`should create a message authored by someone else`, async () => {
+      const key = await Key.generate();
+      const msg = await SignedMessage.bridge({type: `post`, author: {twitter: `alice`}, text: `hello`}, {url: `https://twitter.com/alice/status/1`, time: new Date(`2020-01-01T00:00:00.000Z`)}, key);
+      expect(msg.signedData.source).toEqual({url: `https://twitter.com/alice/status/1`, time: `2020-01-01T00:00:00.000Z`});
+      expect(msg.isBridged()).toBe(true);
+      expect(await msg.isSelfAuthored()).toBe(false);
+      expect(await (await SignedMessage.create({type: `post`, text: `hi`}, key)).isSelfAuthored()).toBe(true);
+      expect((await SignedMessage.create({type: `post`, text: `hi`}, key)).isBridged()).toBe(false);
+      const withoutSource = await SignedMessage.create({type: `post`, author: {twitter: `alice`}, text: `hi`}, key);
+      expect(withoutSource.isBridged()).toBe(true);
+      expect((await SignedMessage.fromString(withoutSource.toString())).isBridged()).toBe(true);
+      expect(await SignedMessage.fromString(msg.toString())).toEqual(msg);
+      await expect(SignedMessage.bridge({type: `post`, text: `hi`}, {url: `https://example.com`}, key)).rejects.toThrow(`must have an author`);
+      await expect(SignedMessage.bridge({type: `post`, author: {keyID: `abc`}}, {url: `https://example.com`}, key)).rejects.toThrow(`must not have a keyID`);
+      await expect(SignedMessage.bridge({type: `post`, author: {twitter: `alice`}}, {}, key)).rejects.toThrow(`source.url`);
+      await expect(SignedMessage.bridge({type: `post`, author: {twitter: `alice`}}, {url: `https://example.com`, time: `yesterday`}, key)).rejects.toThrow(`source.time`);
+    });
+  });
+  describe(`expires`, async () => {
+    test(`should be a time after the message time`, async () => {
+      const key = await Key.generate();
+      const msg = await SignedMessage.create({type: `post`, text: `hi`, time: `2020-01-01T00:00:00.000Z`, expires: `2020-01-02T00:00:00.000Z`}, key);
+      expect(msg.isExpired()).toBe(true);
+      expect(msg.isExpired(new Date(`2020-01-01T12:00:00.000Z`))).toBe(false);
+      expect((await SignedMessage.create({type: `post`, text: `hi`}, key)).isExpired()).toBe(false);
+      await expect(SignedMessage.create({type: `post`, expires: `never`}, key)).rejects.toThrow(`Invalid expires field`);
+      await expect(SignedMessage.create({type: `post`, time: `2020-01-02T00:00:00.000Z`, expires: `2020-01-01T00:00:00.000Z`}, key)).rejects.toThrow(`expires must be after time`);
+    });
+  });
+  describe(`reactions`, async () => {
+    const subscribeTo = async (gun, m, getter) => {
+      const sub = {waiting: []};
+      sub.off = await getter(gun, m, value => {
+        sub.latest = value;
+        sub.waiting = sub.waiting.filter(w => !w(value));
+      });
+      sub.waitFor = condition => new Promise(resolve => {
+        const w = value => condition(value) && (resolve(value) || true);
+        if (!(sub.latest && w(sub.latest))) {
+          sub.waiting.push(w);
+        }
+      });
+      return sub;
+    };
+    test(`set, list, count and remove reactions`, async () => {
+      const gun = new Gun({radisk: false, multicast: false});
+      const key = await Key.generate();
+      await new Promise(resolve => gun.user().auth(key, resolve));
+      const m = await SignedMessage.create({type: `post`, text: `react to this`}, key);
+      const subscribe = getter => subscribeTo(gun, m, getter);
+      const reactions = await subscribe(SignedMessage.getReactions);
+      const counts = await subscribe(SignedMessage.getReactionCounts);
+      await SignedMessage.setReaction(gun, m, `👍`, key);
+      expect(await counts.waitFor(c => c[`👍`] === 1)).toEqual({[`👍`]: 1});
+      gun.get(`reactions`).get(await m.getHash()).get((await Key.generate()).pub).put(true); // no reaction in user space
+      expect(await reactions.waitFor(r => r[key.pub])).toEqual({[key.pub]: `👍`});
+      await SignedMessage.removeReaction(gun, m, key);
+      expect(await reactions.waitFor(r => !r[key.pub])).toEqual({});
+      expect(await counts.waitFor(c => !c[`👍`])).toEqual({});
+      expect(await util.gunOnceDefined(gun.get(`reactions`).get(await m.getHash()).get(key.pub))).toBe(null);
+      reactions.off();
+      counts.off();
+      await expect(SignedMessage.setReaction(gun, m, ``, key)).rejects.toThrow();
+    });
+    test(`react with another key than the gun user's`, async () => {
+      const gun = new Gun({radisk: false, multicast: false, peers: [`http://localhost:8773/gun`]});
+      const userKey = await Key.generate();
+      const key = await Key.generate();
+      await new Promise(resolve => gun.user().auth(userKey, resolve));
+      const m = await SignedMessage.create({type: `post`, text: `react to this`}, userKey);
+      const reactions = await subscribeTo(gun, m, SignedMessage.getReactions);
+      await SignedMessage.setReaction(gun, m, `👍`, key);
+      expect(await reactions.waitFor(r => r[key.pub])).toEqual({[key.pub]: `👍`});
+      expect(gun.user().is.pub).toBe(userKey.pub);
+      reactions.off();
+    });
+  });
   describe(`methods`, async () => {
     let key;
     msg = void 0;
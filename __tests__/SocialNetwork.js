@@ -0,0 +1,259 @@
+const iris = require(`index.js`);
+
+const GUN = require(`gun`);
+const SEA = require(`gun/sea`);
+const then = require(`gun/lib/then`);
+const radix = require(`gun/lib/radix`); // Require before instantiating Gun, if running in jsdom mode
+const server = require('http').createServer(GUN.serve);
+const superNode = GUN({radisk: false, web: server.listen(8769), multicast: false });
+const gun = new GUN({radisk: false, multicast: false, peers: ['http://localhost:8769/gun']});
+const gun2 = new GUN({radisk: false, multicast: false, peers: ['http://localhost:8769/gun']});
+const gun3 = new GUN({radisk: false, multicast: false, peers: ['http://localhost:8769/gun']});
+
+jest.setTimeout(30000);
+
+describe(`SocialNetwork`, () => {
+  let index, key;
+  beforeAll(async () => {
+    key = await iris.Key.generate();
+    index = new iris.SocialNetwork({gun, keypair: key});
+    await index.ready;
+  });
+  test(`requires options.gun`, () => {
+    expect(() => new iris.SocialNetwork({})).toThrow(Error);
+  });
+  test(`getRootContact()`, () => {
+    const root = index.getRootContact();
+    expect(root).toBeInstanceOf(iris.Contact);
+    expect(root.linkTo.type).toBe(`keyID`);
+    expect(root.trustDistance).toBe(0);
+  });
+  test(`addMessage()`, async () => {
+    const msg = await iris.SignedMessage.createRating({
+      recipient: {email: `bob@example.com`, name: `Bob`},
+      rating: 5
+    }, key);
+    expect(await index.addMessage(msg)).toBe(true);
+    expect(await index.addMessage(msg)).toBe(false);
+  });
+  test(`getContacts()`, async () => {
+    const bob = index.getContacts(`bob@example.com`, `email`);
+    expect(bob).toBeInstanceOf(iris.Contact);
+    expect(bob.linkTo.value).toBe(`bob@example.com`);
+    const name = await iris.util.gunOnceDefined(bob.gun.get(`attrs`).get(`Bob:name`));
+    expect(name.value).toBe(`Bob`);
+  });
+  test(`search()`, async () => {
+    const results = await index.search(`bob`);
+    expect(results.length).toBe(1);
+    expect(results[0].linkTo.value).toBe(`bob@example.com`);
+  });
+  test(`Contact.sent()`, done => {
+    index.getRootContact().sent(index, {callback: msg => {
+      expect(msg.signedData.type).toBe(`rating`);
+      done();
+    }});
+  });
+  test(`trust distance from ratings`, async () => {
+    const bobKey = await iris.Key.generate();
+    const msg1 = await iris.SignedMessage.createRating({recipient: {keyID: await iris.Key.getId(bobKey)}, rating: 10}, key);
+    const msg2 = await iris.SignedMessage.createRating({recipient: {email: `carol@example.com`}, rating: -3}, bobKey);
+    await index.addMessages([msg2, msg1]);
+    const bob = index.getContacts(await iris.Key.getId(bobKey), `keyID`);
+    expect(bob.trustDistance).toBe(1);
+    const carol = index.getContacts(`carol@example.com`, `email`);
+    expect(carol.trustDistance).toBeUndefined();
+    expect(carol.receivedNegative).toBe(1);
+    await new Promise(resolve => bob.gun.get(`trustDistance`).on(d => d === 1 && resolve()));
+  });
+  test(`verification links attributes`, async () => {
+    const msg = await iris.SignedMessage.createVerification({
+      recipient: {email: `dave@example.com`, phone: `1234567`, name: `Dave`}
+    }, key);
+    await index.addMessage(msg);
+    const byEmail = index.getContacts(`dave@example.com`, `email`);
+    const byPhone = index.getContacts(`1234567`, `phone`);
+    expect(byPhone.linkTo.uri()).toBe(byEmail.linkTo.uri());
+    const attrs = index.contacts[index.contactIds[`1234567:phone`]].attrs;
+    expect(attrs[`1234567:phone`].verifications).toBe(1);
+  });
+  test(`unverification splits attributes`, async () => {
+    const msg = await iris.SignedMessage.createUnverification({
+      recipient: {email: `dave@example.com`, phone: `1234567`}
+    }, key);
+    await index.addMessage(msg);
+    const byEmail = index.getContacts(`dave@example.com`, `email`);
+    const byPhone = index.getContacts(`1234567`, `phone`);
+    expect(byPhone.linkTo.uri()).not.toBe(byEmail.linkTo.uri());
+  });
+  test(`legacy keyIDs refer to the same Contact as hashed ones`, async () => {
+    const ivyKey = await iris.Key.generate();
+    const legacy = await iris.SignedMessage.createRating({author: {keyID: ivyKey.pub}, recipient: {email: `jack@example.com`}, rating: 1}, ivyKey);
+    const msg = await iris.SignedMessage.createRating({recipient: {email: `kim@example.com`}, rating: 1}, ivyKey);
+    await index.addMessages([legacy, msg]);
+    const ivy = index.getContacts(await iris.Key.getId(ivyKey), `keyID`);
+    expect(ivy.linkTo.value).toBe(await iris.Key.getId(ivyKey));
+    expect(Object.keys(index.contacts[index.contactIds[ivy.linkTo.uri()]].attrs).length).toBe(1);
+  });
+  test(`Key.getPubById()`, async () => {
+    expect(await iris.Key.getPubById(gun2, await iris.Key.getId(key))).toBe(key.pub);
+  });
+  test(`key rotation carries ratings over to the new key`, async () => {
+    const gregKey = await iris.Key.generate();
+    const rating = await iris.SignedMessage.createRating({recipient: {keyID: await iris.Key.getId(gregKey)}, rating: 10}, key);
+    await index.addMessage(rating);
+    const {key: newKey, message} = await iris.Key.rotate(gregKey);
+    expect(await index.addMessage(message)).toBe(true);
+    const greg = index.getContacts(await iris.Key.getId(newKey), `keyID`);
+    expect(greg.linkTo.value).toBe(await iris.Key.getId(newKey));
+    expect(greg.trustDistance).toBe(1);
+    expect(index.getContacts(await iris.Key.getId(gregKey), `keyID`).linkTo.value).toBe(await iris.Key.getId(newKey));
+    const msg = await iris.SignedMessage.createRating({recipient: {email: `harry@example.com`}, rating: 5}, newKey);
+    await index.addMessage(msg);
+    expect(index.getContacts(`harry@example.com`, `email`).trustDistance).toBe(2);
+  });
+  test(`retractions`, async () => {
+    const lisaKey = await iris.Key.generate();
+    const rating = await iris.SignedMessage.createRating({recipient: {keyID: await iris.Key.getId(lisaKey)}, rating: 10}, key);
+    const verification = await iris.SignedMessage.createVerification({recipient: {email: `mike@example.com`, phone: `7654321`}}, key);
+    await index.addMessages([rating, verification]);
+    const lisa = () => index.getContacts(rating.signedData.recipient.keyID, `keyID`);
+    expect(lisa().trustDistance).toBe(1);
+    expect(index.getContacts(`7654321`, `phone`).linkTo.uri()).toBe(index.getContacts(`mike@example.com`, `email`).linkTo.uri());
+    const otherKey = await iris.Key.generate();
+    await index.addMessage(await iris.SignedMessage.createRetraction(rating, otherKey));
+    expect(lisa().trustDistance).toBe(1);
+    await index.addMessage(await iris.SignedMessage.createRetraction(rating, key));
+    expect(lisa().trustDistance).toBeUndefined();
+    await index.addMessage(await iris.SignedMessage.createRetraction(verification, key));
+    expect(index.getContacts(`7654321`, `phone`).linkTo.uri()).not.toBe(index.getContacts(`mike@example.com`, `email`).linkTo.uri());
+  });
+  test(`retraction before the retracted message`, async () => {
+    const rating = await iris.SignedMessage.createRating({recipient: {email: `nina@example.com`}, rating: 10}, key);
+    await index.addMessage(await iris.SignedMessage.createRetraction(rating, key));
+    await index.addMessage(rating);
+    expect(index.getContacts(`nina@example.com`, `email`).trustDistance).toBeUndefined();
+  });
+  test(`Contact.received()`, done => {
+    index.getContacts(`bob@example.com`, `email`).received(index, {callback: msg => {
+      expect(msg.getAuthor(index).linkTo.type).toBe(`keyID`);
+      done();
+    }});
+  });
+  test(`bridged messages count only if the signer is trusted`, async () => {
+    const trustedCrawler = await iris.Key.generate();
+    const otherCrawler = await iris.Key.generate();
+    await index.addMessages([
+      await iris.SignedMessage.createRating({recipient: {keyID: await iris.Key.getId(trustedCrawler)}, rating: 10}, key),
+      await iris.SignedMessage.createRating({recipient: {url: `https://twitter.com/oscar`}, rating: 10}, key)
+    ]);
+    const source = {url: `https://twitter.com/oscar/status/1`, time: `2020-01-01T00:00:00.000Z`};
+    const untrusted = await iris.SignedMessage.bridge({type: `rating`, author: {url: `https://twitter.com/oscar`}, recipient: {url: `https://twitter.com/paula`}, rating: 10, maxRating: 10, minRating: -10, context: `iris`}, source, otherCrawler);
+    expect(await index.isTrustedBridge(untrusted)).toBe(false);
+    expect(await index.addMessage(untrusted)).toBe(true);
+    expect(index.getContacts(`https://twitter.com/paula`, `url`).trustDistance).toBeUndefined();
+    const trusted = await iris.SignedMessage.bridge({type: `rating`, author: {url: `https://twitter.com/oscar`}, recipient: {url: `https://twitter.com/quentin`}, rating: 10, maxRating: 10, minRating: -10, context: `iris`}, source, trustedCrawler);
+    expect(await index.isTrustedBridge(trusted)).toBe(true);
+    await index.addMessage(trusted);
+    expect(index.getContacts(`https://twitter.com/quentin`, `url`).trustDistance).toBe(2);
+    const disabled = new iris.SocialNetwork({gun: gun2, keypair: key, indexSync: {bridged: {enabled: false}}});
+    expect(await disabled.addMessage(untrusted)).toBe(false);
+    const withoutSource = await iris.SignedMessage.createRating({author: {url: `https://twitter.com/oscar`}, recipient: {url: `https://twitter.com/paula`}, rating: 10}, otherCrawler);
+    expect(await index.isTrustedBridge(withoutSource)).toBe(false);
+    expect(await disabled.addMessage(withoutSource)).toBe(false);
+  });
+  test(`messages authored by someone else than the signer count only if the signer is trusted`, async () => {
+    const forger = await iris.Key.generate();
+    const forged = await iris.SignedMessage.createRating({author: {email: `bob@example.com`}, recipient: {email: `sam@example.com`}, rating: 10}, forger);
+    expect(await forged.isSelfAuthored()).toBe(false);
+    expect(await index.addMessage(forged)).toBe(true);
+    expect(index.getContacts(`bob@example.com`, `email`).trustDistance).toBe(1);
+    expect(index.getContacts(`sam@example.com`, `email`).trustDistance).toBeUndefined();
+  });
+  test(`expired messages are pruned`, async () => {
+    const expired = await iris.SignedMessage.createRating({recipient: {email: `rita@example.com`}, rating: 10, time: `2020-01-01T00:00:00.000Z`, expires: `2020-01-02T00:00:00.000Z`}, key);
+    expect(await index.addMessage(expired)).toBe(false);
+    const expiring = await iris.SignedMessage.createRating({recipient: {email: `rita@example.com`}, rating: 10, expires: new Date(Date.now() + 3600000).toISOString()}, key);
+    expect(await index.addMessage(expiring)).toBe(true);
+    expect(index.getContacts(`rita@example.com`, `email`).trustDistance).toBe(1);
+    expect(await index.pruneExpired()).toBe(0);
+    expect(await index.pruneExpired(new Date(Date.now() + 7200000))).toBe(1);
+    expect(index.getContacts(`rita@example.com`, `email`).trustDistance).toBeUndefined();
+    expect(index.messagesByHash[await expiring.getHash()]).toBeUndefined();
+  });
+  test(`ignores message types that are not enabled`, async () => {
+    const msg = await iris.SignedMessage.create({type: `post`, text: `hello`}, key);
+    expect(await index.addMessage(msg)).toBe(false);
+  });
+  test(`replies, quotes and threads`, async () => {
+    const postKey = await iris.Key.generate();
+    const postIndex = new iris.SocialNetwork({gun: gun3, keypair: postKey, indexSync: {msgTypes: {post: true}}});
+    await postIndex.ready;
+    const post = await iris.SignedMessage.create({type: `post`, text: `root`}, postKey);
+    const reply1 = await iris.SignedMessage.createReply(post, {text: `reply 1`, time: `2020-01-01T00:00:00.000Z`}, postKey);
+    const reply2 = await iris.SignedMessage.createReply(post, {text: `reply 2`, time: `2020-01-02T00:00:00.000Z`}, postKey);
+    const reply11 = await iris.SignedMessage.createReply(reply1, {text: `reply 1.1`}, postKey);
+    const repost = await iris.SignedMessage.createQuote(post, {}, postKey);
+    expect(repost.isRepost()).toBe(true);
+    await postIndex.addMessages([post, reply1, reply2, reply11, repost]);
+    const hash = await post.getHash();
+    const replies = await new Promise(resolve => {
+      const texts = [];
+      postIndex.getReplies(hash, {callback: msg => {
+        texts.push(msg.signedData.text);
+        if (texts.length === 2) {
+          resolve(texts.sort());
+        }
+      }});
+    });
+    expect(replies).toEqual([`reply 1`, `reply 2`]);
+    const quote = await new Promise(resolve => postIndex.getQuotes(hash, {callback: resolve}));
+    expect(await quote.getHash()).toBe(await repost.getHash());
+    const thread = await postIndex.getThread(hash);
+    expect(thread.message.signedData.text).toBe(`root`);
+    expect(thread.replies.map(r => r.message.signedData.text)).toEqual([`reply 1`, `reply 2`]);
+    expect(thread.replies[0].replies.map(r => r.message.signedData.text)).toEqual([`reply 1.1`]);
+    expect((await postIndex.getThread(hash, {depth: 1})).replies[0].replies).toEqual([]);
+  });
+  test(`imports messages from trusted keys`, async () => {
+    const erinKey = await iris.Key.generate();
+    const erinIndex = new iris.SocialNetwork({gun: gun2, keypair: erinKey});
+    await erinIndex.ready;
+    const erinMsg = await iris.SignedMessage.createRating({recipient: {email: `frank@example.com`}, rating: 5}, erinKey);
+    await erinIndex.addMessage(erinMsg);
+    const hash = await erinMsg.getHash();
+    // wait until the relay peer has it
+    await new Promise(resolve => gun.user(erinKey.pub).get(`iris`).get(`messagesByTimestamp`).map().once(resolve));
+    const msg = await iris.SignedMessage.createRating({recipient: {keyID: await iris.Key.getId(erinKey)}, rating: 10}, key);
+    await index.addMessage(msg);
+    await new Promise(resolve => {
+      const interval = setInterval(() => {
+        if (index.messagesByHash[hash]) {
+          clearInterval(interval);
+          resolve();
+        }
+      }, 100);
+    });
+    const frank = index.getContacts(`frank@example.com`, `email`);
+    expect(frank.trustDistance).toBe(2);
+    expect(frank.receivedPositive).toBe(1);
+  });
+  test(`imports the newest valid messages`, async () => {
+    const localGun = new GUN({radisk: false, multicast: false});
+    const ginaKey = await iris.Key.generate();
+    const ginaIndex = new iris.SocialNetwork({gun: localGun, keypair: ginaKey});
+    await ginaIndex.ready;
+    const msgs = [];
+    for (let i = 1;i <= 3;i++) {
+      msgs.push(await iris.SignedMessage.createRating({recipient: {email: `gina${i}@example.com`}, rating: 1, time: `2020-01-0${i}T00:00:00.000Z`}, ginaKey));
+    }
+    await ginaIndex.addMessages(msgs);
+    const invalid = ginaIndex.root.get(`messagesByTimestamp`).get(`2020-01-04T00:00:00.000Z:invalid`);
+    await new Promise(resolve => invalid.put({sig: `invalid`, pubKey: ginaKey.pub}, resolve));
+    const reader = new iris.SocialNetwork({gun: localGun, keypair: await iris.Key.generate()});
+    await reader.ready;
+    await reader._importMessages(ginaKey.pub, 2);
+    const hashes = await Promise.all(msgs.map(m => m.getHash()));
+    expect(hashes.map(hash => !!reader.messagesByHash[hash])).toEqual([false, true, true]);
+  });
+});
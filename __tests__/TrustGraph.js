@@ -0,0 +1,85 @@
+const iris = require(`index.js`);
+
+describe(`TrustGraph`, () => {
+  let graph;
+  beforeEach(() => {
+    graph = new iris.TrustGraph(`root`);
+  });
+  test(`root has distance 0`, () => {
+    expect(graph.getTrustDistance(`root`)).toBe(0);
+    expect(graph.getTrustDistance(`alice`)).toBeUndefined();
+  });
+  test(`positive ratings extend the web of trust`, () => {
+    graph.addRating(`alice`, `bob`, 1);
+    expect(graph.getTrustDistance(`bob`)).toBeUndefined();
+    const changed = graph.addRating(`root`, `alice`, 1);
+    expect(changed).toEqual(expect.arrayContaining([`alice`, `bob`]));
+    expect(graph.getTrustDistance(`alice`)).toBe(1);
+    expect(graph.getTrustDistance(`bob`)).toBe(2);
+    graph.addRating(`root`, `bob`, 1);
+    expect(graph.getTrustDistance(`bob`)).toBe(1);
+  });
+  test(`received ratings are counted from the web of trust only`, () => {
+    graph.addRating(`root`, `alice`, 1);
+    graph.addRating(`alice`, `bob`, -1);
+    graph.addRating(`mallory`, `bob`, 1);
+    expect(graph.getReceived(`bob`)).toEqual({receivedPositive: 0, receivedNegative: 1});
+    expect(graph.getReceived(`alice`)).toEqual({receivedPositive: 1, receivedNegative: 0});
+    expect(graph.getTrustDistance(`bob`)).toBeUndefined();
+  });
+  test(`newer rating replaces older`, () => {
+    graph.addRating(`root`, `alice`, 1, 1000);
+    graph.addRating(`alice`, `bob`, 1, 1000);
+    graph.addRating(`root`, `alice`, -1, 2000);
+    expect(graph.getTrustDistance(`alice`)).toBeUndefined();
+    expect(graph.getTrustDistance(`bob`)).toBeUndefined();
+    expect(graph.getReceived(`alice`)).toEqual({receivedPositive: 0, receivedNegative: 1});
+    expect(graph.getReceived(`bob`)).toEqual({receivedPositive: 0, receivedNegative: 0});
+    graph.addRating(`root`, `alice`, 1, 1500);
+    expect(graph.getTrustDistance(`alice`)).toBeUndefined();
+  });
+  test(`removeRating()`, () => {
+    graph.addRating(`root`, `alice`, 1, 1000);
+    graph.addRating(`alice`, `bob`, 1, 1000);
+    expect(graph.removeRating(`root`, `alice`, 999)).toEqual([]);
+    const changed = graph.removeRating(`root`, `alice`, 1000);
+    expect(changed).toEqual(expect.arrayContaining([`alice`, `bob`]));
+    expect(graph.getTrustDistance(`alice`)).toBeUndefined();
+    expect(graph.getTrustDistance(`bob`)).toBeUndefined();
+    expect(graph.getReceived(`alice`)).toEqual({receivedPositive: 0, receivedNegative: 0});
+  });
+  test(`removeRating() restores the earlier rating`, () => {
+    graph.addRating(`root`, `alice`, 1, 1000);
+    graph.addRating(`alice`, `bob`, 1, 1000);
+    graph.addRating(`root`, `alice`, -1, 2000);
+    expect(graph.getTrustDistance(`bob`)).toBeUndefined();
+    const changed = graph.removeRating(`root`, `alice`, 2000);
+    expect(changed).toEqual(expect.arrayContaining([`alice`, `bob`]));
+    expect(graph.getTrustDistance(`alice`)).toBe(1);
+    expect(graph.getTrustDistance(`bob`)).toBe(2);
+    expect(graph.getReceived(`alice`)).toEqual({receivedPositive: 1, receivedNegative: 0});
+    graph.addRating(`root`, `alice`, -1, 3000);
+    expect(graph.removeRating(`root`, `alice`, 1000)).toEqual([]);
+    graph.removeRating(`root`, `alice`, 3000);
+    expect(graph.getTrustDistance(`alice`)).toBeUndefined();
+    expect(graph.getReceived(`alice`)).toEqual({receivedPositive: 0, receivedNegative: 0});
+  });
+  test(`mergeNodes()`, () => {
+    graph.addRating(`root`, `alice`, 1);
+    graph.addRating(`bob`, `carol`, 1);
+    graph.addRating(`alice`, `bob2`, -1);
+    expect(graph.getTrustDistance(`carol`)).toBeUndefined();
+    graph.mergeNodes(`bob`, `alice`);
+    expect(graph.getTrustDistance(`carol`)).toBe(2);
+    expect(graph.getReceived(`carol`)).toEqual({receivedPositive: 1, receivedNegative: 0});
+    expect(graph.getReceived(`bob2`)).toEqual({receivedPositive: 0, receivedNegative: 1});
+  });
+  test(`mergeNodes() keeps earlier ratings`, () => {
+    graph.addRating(`root`, `alice`, 1, 1000);
+    graph.addRating(`root`, `alice2`, -1, 2000);
+    graph.mergeNodes(`alice2`, `alice`);
+    expect(graph.getTrustDistance(`alice`)).toBeUndefined();
+    graph.removeRating(`root`, `alice`, 2000);
+    expect(graph.getTrustDistance(`alice`)).toBe(1);
+  });
+});
@@ -0,0 +1,110 @@
+const cli = require(`cli.js`);
+const Key = require(`Key.js`);
+const Channel = require(`Channel.js`);
+const fs = require(`fs`);
+const os = require(`os`);
+const path = require(`path`);
+const {Readable} = require(`stream`);
+const Gun = require(`gun`);
+const server = require(`http`).createServer(Gun.serve);
+Gun({radisk: false, web: server.listen(8774), multicast: false});
+
+jest.setTimeout(30000);
+
+function run(args, input = ``) {
+  const out = [];
+  const err = [];
+  const stdin = new Readable({read() {}});
+  stdin.push(input);
+  stdin.push(null);
+  const io = {
+    stdin,
+    stdout: {write: s => out.push(s)},
+    stderr: {write: s => err.push(s)}
+  };
+  return cli(args, io).then(code => ({code, out: out.join(``), err: err.join(``)}));
+}
+
+describe(`cli`, () => {
+  let datadir, pub;
+  beforeAll(() => {
+    datadir = fs.mkdtempSync(path.join(os.tmpdir(), `iris-cli-`));
+  });
+  test(`keygen`, async () => {
+    const r = await run([`keygen`, `--datadir=${datadir}`]);
+    expect(r.code).toBe(0);
+    pub = JSON.parse(r.out).pub;
+    expect(typeof pub).toBe(`string`);
+    expect((await run([`keygen`, `--datadir=${datadir}`])).code).toBe(1);
+  });
+  test(`key`, async () => {
+    const r = await run([`key`, `--datadir=${datadir}`]);
+    expect(JSON.parse(r.out).pub).toBe(pub);
+    expect(JSON.parse(r.out).priv).toBeUndefined();
+  });
+  test(`sign and verify`, async () => {
+    const data = JSON.stringify({recipient: {email: `alice@example.com`}, rating: 5});
+    const signed = await run([`sign`, `--type=rating`, `--datadir=${datadir}`], data);
+    expect(signed.code).toBe(0);
+    const {message, hash} = JSON.parse(signed.out);
+    const verified = await run([`verify`], message);
+    expect(verified.code).toBe(0);
+    expect(JSON.parse(verified.out)).toMatchObject({valid: true, hash, signerKeyID: await Key.getId({pub})});
+  });
+  test(`verify invalid message`, async () => {
+    const r = await run([`verify`, `{"sig":"invalid"}`]);
+    expect(r.code).toBe(1);
+    expect(JSON.parse(r.out).valid).toBe(false);
+  });
+  test(`import-archive`, async () => {
+    const data = JSON.stringify({recipient: {email: `bob@example.com`}, rating: 5});
+    const {message} = JSON.parse((await run([`sign`, `--type=rating`, `--datadir=${datadir}`], data)).out);
+    const archive = [message, message, `{"sig":"invalid"}`].join(`\n`);
+    const r = await run([`import-archive`, `--wait=0`, `--peers=http://localhost:8770/gun`, `--datadir=${datadir}`], archive);
+    expect(r.code).toBe(0);
+    expect(JSON.parse(r.out)).toMatchObject({added: 1, duplicates: 1, skipped: 0, invalid: [{index: 2}]});
+  });
+  test(`export and import mnemonic`, async () => {
+    const exported = await run([`export`, `--format=mnemonic`, `--datadir=${datadir}`]);
+    const {mnemonic} = JSON.parse(exported.out);
+    const otherDir = fs.mkdtempSync(path.join(os.tmpdir(), `iris-cli-`));
+    const imported = await run([`import`, `--format=mnemonic`, `--datadir=${otherDir}`], mnemonic);
+    expect(imported.code).toBe(0);
+    expect(JSON.parse(imported.out).pub).toBe(pub);
+  });
+  test(`passphrase`, async () => {
+    const r = await run([`passphrase`, `--new=secret`, `--datadir=${datadir}`]);
+    expect(r.code).toBe(0);
+    expect(JSON.parse(r.out)).toEqual({pub, encrypted: true});
+    expect(fs.readFileSync(path.join(datadir, `iris.default.key`), `utf8`)).toMatch(/encrypted/);
+    expect((await run([`passphrase`, `--new=`, `--datadir=${datadir}`])).code).toBe(1);
+    expect((await run([`passphrase`, `--new=`, `--passphrase=secret`, `--datadir=${datadir}`])).code).toBe(0);
+  });
+  test(`send and read`, async () => {
+    const peers = `--peers=http://localhost:8774/gun`;
+    const bobDir = fs.mkdtempSync(path.join(os.tmpdir(), `iris-cli-`));
+    const bob = JSON.parse((await run([`keygen`, `--datadir=${bobDir}`])).out).pub;
+    const aliceKey = await Key.generate();
+    const alice = new Channel({gun: new Gun({radisk: false, multicast: false, peers: [`http://localhost:8774/gun`]}), key: aliceKey, participants: bob});
+    const received = [];
+    alice.getMessages(msg => received.push(msg.text));
+    const sent = await run([`send`, aliceKey.pub, `hello`, `alice`, `--wait=1`, `--timeout=10`, peers, `--datadir=${bobDir}`]);
+    expect(sent.code).toBe(0);
+    expect(JSON.parse(sent.out)).toMatchObject({sent: true, to: aliceKey.pub});
+    await alice.send(`hi bob`);
+    const read = await run([`read`, aliceKey.pub, `--timeout=3`, peers, `--datadir=${bobDir}`]);
+    expect(read.code).toBe(0);
+    expect(read.out.trim().split(`\n`).map(line => JSON.parse(line))).toEqual([
+      expect.objectContaining({text: `hello alice`, from: bob, selfAuthored: true}),
+      expect.objectContaining({text: `hi bob`, from: aliceKey.pub, selfAuthored: false})
+    ]);
+    expect(received).toContain(`hello alice`);
+    expect(JSON.parse((await run([`send`, aliceKey.pub, `--datadir=${bobDir}`])).err).error).toMatch(/Usage/);
+    expect(JSON.parse((await run([`read`, `--datadir=${bobDir}`])).err).error).toMatch(/Usage/);
+  });
+  test(`unknown command`, async () => {
+    const r = await run([`foo`]);
+    expect(r.code).toBe(1);
+    expect(JSON.parse(r.err).error).toMatch(/Unknown command/);
+  });
+});
@@ -1,4 +1,6 @@
 const Collection = require(`Collection.js`);
+const SignedMessage = require(`SignedMessage.js`);
+const Key = require(`Key.js`);
 const Gun = require(`gun`);
 const open = require(`gun/lib/open`);
 const radix = require(`gun/lib/radix`); // Require before instantiating Gun, if running in jsdom mode
@@ -20,6 +22,8 @@ class Animal {
   }
 }
 
+jest.setTimeout(30000);
+
 describe(`Collection`, () => {
   let gun, animals, n = 0;
   beforeAll(() => {
@@ -89,6 +93,48 @@ describe(`Collection`, () => {
     }
     animals.get({callback, selector: {name: 'Moisture'}});
   });
+  test(`retracted messages are not returned`, async () => {
+    const key = await Key.generate();
+    const otherKey = await Key.generate();
+    const posts = new Collection({gun: new Gun({radisk: false}), class: SignedMessage, name: `posts`});
+    const kept = await SignedMessage.create({type: `post`, text: `kept`}, key);
+    const retracted = await SignedMessage.create({type: `post`, text: `retracted`}, key);
+    const fakeRetracted = await SignedMessage.create({type: `post`, text: `not retracted by others`}, key);
+    const forgedRetracted = await SignedMessage.create({type: `post`, text: `not retracted by forgery`}, key);
+    await posts.put(kept);
+    await posts.put(retracted);
+    await posts.put(fakeRetracted);
+    await posts.put(forgedRetracted);
+    posts.put(await SignedMessage.createRetraction(retracted, key));
+    posts.put(await SignedMessage.createRetraction(fakeRetracted, otherKey));
+    // someone else's retraction written directly where the signer's own would be
+    const forgery = await SignedMessage.createRetraction(forgedRetracted, otherKey);
+    posts.gun.get(`posts`).get(`retractions`).get(await forgedRetracted.getId()).get(key.pub).put(JSON.stringify(forgery.serialize()));
+    const texts = await new Promise(resolve => {
+      const results = {}; // get() callback can be called more than once per message
+      posts.get({callback: msg => {
+        results[msg.signedData.text] = true;
+        if (Object.keys(results).length === 3) {
+          setTimeout(() => resolve(Object.keys(results)), 500); // wait for the retracted one, if it shows up
+        }
+      }});
+    });
+    expect(texts.sort()).toEqual([`kept`, `not retracted by forgery`, `not retracted by others`]);
+  });
+  test(`expired messages are not returned`, async () => {
+    const key = await Key.generate();
+    const posts = new Collection({gun: new Gun({radisk: false}), class: SignedMessage, name: `expiringPosts`});
+    await posts.put(await SignedMessage.create({type: `post`, text: `expired`, time: `2020-01-01T00:00:00.000Z`, expires: `2020-01-02T00:00:00.000Z`}, key));
+    await posts.put(await SignedMessage.create({type: `post`, text: `valid`, expires: new Date(Date.now() + 3600000).toISOString()}, key));
+    const texts = await new Promise(resolve => {
+      const results = {};
+      posts.get({callback: msg => {
+        results[msg.signedData.text] = true;
+        setTimeout(() => resolve(Object.keys(results)), 500); // wait for the expired one, if it shows up
+      }});
+    });
+    expect(texts).toEqual([`valid`]);
+  });
   // TODO: test multiple index search
   // TODO: unique vs non-unique indexes
   // TODO: delete from collection and indexes
@@ -34,6 +34,111 @@ test(`Get default key and sign a message with it`, async () => {
   await msg.sign(i);
   expect(await msg.verify()).toBe(true);
 });
+test(`Encrypt and decrypt a key with a passphrase`, async () => {
+  const i = await iris.Key.generate();
+  const encrypted = await iris.Key.toEncryptedString(i, `secret`);
+  expect(iris.Key.isEncryptedString(encrypted)).toBe(true);
+  expect(encrypted.indexOf(i.priv)).toBe(-1);
+  expect(await iris.Key.fromEncryptedString(encrypted, `secret`)).toEqual(i);
+  await expect(iris.Key.fromEncryptedString(encrypted, `wrong`)).rejects.toThrow();
+});
+test(`Change passphrase of the stored key`, async () => {
+  const dir = fs.mkdtempSync(require(`path`).join(require(`os`).tmpdir(), `iris-key-`));
+  const i = await iris.Key.generate();
+  await iris.Key.setActiveKey(i, true, dir, `iris.key`, fs, `first`);
+  expect(iris.Key.isStoredKeyEncrypted(dir, `iris.key`, fs)).toBe(true);
+  await expect(iris.Key.changePassphrase(`wrong`, `second`, dir, `iris.key`, fs)).rejects.toThrow();
+  await expect(iris.Key.changePassphrase(undefined, `second`, dir, `iris.key`, fs)).rejects.toThrow(/passphrase required/);
+  expect(await iris.Key.changePassphrase(`first`, `second`, dir, `iris.key`, fs)).toEqual(i);
+  expect(await iris.Key.changePassphrase(() => Promise.resolve(`second`), ``, dir, `iris.key`, fs)).toEqual(i);
+  expect(iris.Key.isStoredKeyEncrypted(dir, `iris.key`, fs)).toBe(false);
+});
+test(`Get keyID`, async () => {
+  const key = await iris.Key.generate();
+  const keyID = await iris.Key.getId(key);
+  expect(keyID).toBe(await iris.util.getHash(key.pub));
+  expect(iris.Key.isLegacyId(keyID)).toBe(false);
+  expect(iris.Key.isLegacyId(key.pub)).toBe(true);
+});
+test(`Rotate a key`, async () => {
+  const oldKey = await iris.Key.generate();
+  const {key, message} = await iris.Key.rotate(oldKey);
+  expect(key.pub).not.toBe(oldKey.pub);
+  expect(message.getKeyRotation()).toEqual({oldKeyID: await iris.Key.getId(oldKey), newKeyID: await iris.Key.getId(key)});
+  expect(await message.verify()).toBe(true);
+  const copy = await iris.SignedMessage.fromString(message.toString());
+  expect(copy.signedData.newPubKey).toBe(key.pub);
+});
+describe(`Backup formats`, () => {
+  let key;
+  beforeAll(async () => {
+    key = await iris.Key.generate();
+  });
+  test(`isValidPair()`, async () => {
+    expect(await iris.Key.isValidPair(key)).toBe(true);
+    const other = await iris.Key.generate();
+    expect(await iris.Key.isValidPair(Object.assign({}, key, {pub: other.pub}))).toBe(false);
+    expect(await iris.Key.isValidPair(Object.assign({}, key, {priv: `x`}))).toBe(false);
+  });
+  test(`Mnemonic`, async () => {
+    const mnemonic = await iris.Key.toMnemonic(key);
+    const words = mnemonic.split(` `);
+    expect(words.length).toBe(66);
+    expect(await iris.Key.fromMnemonic(mnemonic)).toEqual(key);
+    const abbreviated = words.map(w => w.slice(0, 4).toUpperCase()).join(`  `);
+    expect(await iris.Key.fromMnemonic(abbreviated)).toEqual(key);
+    words[3] = words[3] === `zebra` ? `apple` : `zebra`;
+    await expect(iris.Key.fromMnemonic(words.join(` `))).rejects.toThrow(/Checksum/);
+    await expect(iris.Key.fromMnemonic(`foo bar`)).rejects.toThrow();
+  });
+  test(`QR string`, async () => {
+    const str = await iris.Key.toQrString(key);
+    expect(str).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(await iris.Key.fromQrString(str)).toEqual(key);
+    const corrupted = (str[10] === `A` ? `B` : `A`);
+    await expect(iris.Key.fromQrString(str.slice(0, 10) + corrupted + str.slice(11))).rejects.toThrow();
+  });
+  test(`Encrypted backup`, async () => {
+    const backup = await iris.Key.toBackup(key, `secret`);
+    expect(backup.indexOf(key.priv)).toBe(-1);
+    expect(await iris.Key.fromBackup(backup, `secret`)).toEqual(key);
+    await expect(iris.Key.fromBackup(backup, `wrong`)).rejects.toThrow();
+  });
+});
+describe(`Keyring`, () => {
+  let dir, personal, work;
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(require(`path`).join(require(`os`).tmpdir(), `iris-keyring-`));
+    personal = await iris.Key.generate();
+    work = await iris.Key.generate();
+  });
+  test(`add and list keys`, async () => {
+    await iris.Key.addKey(`personal`, personal, dir, fs);
+    await iris.Key.addKey(`work`, work, dir, fs, `secret`);
+    expect(iris.Key.listKeys(dir, fs)).toEqual([
+      {name: `personal`, pub: personal.pub, active: false, encrypted: false},
+      {name: `work`, pub: work.pub, active: false, encrypted: true}
+    ]);
+  });
+  test(`switch keys`, async () => {
+    const changes = [];
+    const removeListener = iris.Key.onActiveKeyChange(key => changes.push(key.pub));
+    expect(await iris.Key.switchKey(`personal`, dir, `iris.key`, fs)).toEqual(personal);
+    expect(await iris.Key.getActiveKey(dir, `iris.key`, fs)).toEqual(personal);
+    await expect(iris.Key.switchKey(`work`, dir, `iris.key`, fs)).rejects.toThrow(/passphrase/);
+    expect(await iris.Key.switchKey(`work`, dir, `iris.key`, fs, `secret`)).toEqual(work);
+    expect(iris.Key.getActiveKeyName(dir, fs)).toBe(`work`);
+    expect(iris.Key.isStoredKeyEncrypted(dir, `iris.key`, fs)).toBe(true);
+    removeListener();
+    await iris.Key.switchKey(`personal`, dir, `iris.key`, fs);
+    expect(changes).toEqual([personal.pub, work.pub]);
+  });
+  test(`remove key`, () => {
+    expect(() => iris.Key.removeKey(`personal`, dir, fs)).toThrow(/active/);
+    iris.Key.removeKey(`work`, dir, fs);
+    expect(iris.Key.listKeys(dir, fs).map(k => k.name)).toEqual([`personal`]);
+  });
+});
 afterAll(() => {
   if (fs.existsSync(`./private.key`)) {
     const f = fs.unlinkSync(`./private.key`);
@@ -0,0 +1,209 @@
+import Gun from 'gun'; // eslint-disable-line no-unused-vars
+import 'gun/lib/then'; // chain.then() for util.loadGunDepth
+import SignedMessage from './SignedMessage';
+import util from './util';
+
+const MANIFEST_TYPE = `identityArchive`;
+const USER_DATA_FIELDS = [`profile`, `follow`, `reactions`]; // user space nodes that are exported as they are
+const CHAT_PUB_WAIT = 1000; // ms to wait for the pub of a chat. Chats without one are left out.
+
+/**
+* Parse archive entries. A JSON array is parsed as a whole, anything else as NDJSON: one JSON value per line.
+* @returns {Array} [{index, value}] or [{index, error}] for lines that are not valid JSON
+*/
+function parseEntries(str) {
+  const trimmed = str.trim();
+  if (trimmed.charAt(0) === `[`) {
+    const arr = JSON.parse(trimmed);
+    return arr.map((value, index) => ({index, value}));
+  }
+  const entries = [];
+  str.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push({index, value: JSON.parse(line)});
+    } catch (e) {
+      entries.push({index, error: `Invalid JSON: ${e.message}`});
+    }
+  });
+  return entries;
+}
+
+/**
+* Remove gun metadata, unloaded links and empty objects from data loaded with util.loadGunDepth()
+* @returns {*} cleaned data, or undefined if nothing is left
+*/
+function cleanGunData(data) {
+  if (data === null || typeof data !== `object`) {
+    return data === null ? undefined : data;
+  }
+  if (data[`#`]) {
+    return undefined; // link that was not loaded
+  }
+  const clean = {};
+  Object.keys(data).forEach(key => {
+    const value = key === `_` ? undefined : cleanGunData(data[key]);
+    if (value !== undefined) {
+      clean[key] = value;
+    }
+  });
+  return Object.keys(clean).length ? clean : undefined;
+}
+
+/**
+* Import and export of SignedMessage archives.
+*
+* An archive is either NDJSON (one serialized message, {signedData, sig, pubKey} or legacy {sig, pubKey}, per line)
+* or a JSON array of serialized messages.
+*
+* Archives made with exportIdentity() end with an identityArchive message: a manifest signed by the exported key that lists
+* the hashes of the exported messages and contains the key's profile, follows, reactions and channels list.
+* Importing it with the same key restores them to the key's gun user space, so you can move to another relay peer.
+*
+* Usually you use it from node or with the iris command-line interface: `iris export-archive > archive.ndjson` and `iris import-archive archive.ndjson`.
+* @example
+* var index = new iris.SocialNetwork({gun});
+* var report = await iris.Archive.importMessages(index, fs.readFileSync('messages.ndjson', 'utf8'));
+* // {added: 10, duplicates: 1, skipped: 0, invalid: [{index: 3, error: 'Invalid  message: Missing time field'}], identities: []}
+*/
+class Archive {
+  /**
+  * Read the messages of an archive. Each message is verified; invalid ones are reported with the reason instead of failing the whole archive.
+  * Messages that are in the archive more than once (same hash) are returned only once.
+  * @param {string|Array} archive NDJSON or JSON array string, or an array of serialized messages
+  * @returns {Promise<Object>} {messages, duplicates, invalid}, where messages are the valid SignedMessages, duplicates is the number of repeated messages and invalid is an array of {index, error}. index is the position in the array, or line number - 1 in NDJSON.
+  */
+  static async readMessages(archive: string | Array<Object>) {
+    const entries = typeof archive === `string` ? parseEntries(archive) : archive.map((value, index) => ({index, value}));
+    const messages = [];
+    const invalid = [];
+    const hashes = {};
+    let duplicates = 0;
+    for (let i = 0;i < entries.length;i++) {
+      const {index, value, error} = entries[i];
+      if (error) {
+        invalid.push({index, error});
+        continue;
+      }
+      try {
+        if (!value || typeof value !== `object` || Array.isArray(value)) {
+          throw new Error(`Archive entry must be a serialized message object`);
+        }
+        const msg = await SignedMessage.fromSig(value);
+        const hash = await msg.getHash();
+        if (hashes[hash]) {
+          duplicates++;
+          continue;
+        }
+        hashes[hash] = true;
+        messages.push(msg);
+      } catch (e) {
+        invalid.push({index, error: e.message});
+      }
+    }
+    return {messages, duplicates, invalid};
+  }
+
+  /**
+  * Import the messages of an archive into a SocialNetwork index. Messages are verified, de-duplicated by hash and
+  * added with index.addMessages(). Messages of types that are not enabled in the index's indexSync.msgTypes are skipped.
+  *
+  * If the archive has an identityArchive manifest signed by the index's own key, its profile, follows, reactions and channels list are written to the user space.
+  * @param {SocialNetwork} index index to add the messages to
+  * @param {string|Array} archive NDJSON or JSON array string, or an array of serialized messages
+  * @returns {Promise<Object>} {added, duplicates, skipped, invalid, identities}: numbers of added, duplicate (in the archive or already in the index) and skipped messages, an array of {index, error} for the invalid ones and an array of {keyID, restored, missing} for identityArchive manifests, where missing is the number of listed messages that were not in the archive
+  */
+  static async importMessages(index: Object, archive: string | Array<Object>) {
+    const {messages, duplicates, invalid} = await Archive.readMessages(archive);
+    await index.ready;
+    const hashes = {};
+    const manifests = [];
+    const newMessages = [];
+    let existing = 0;
+    for (let i = 0;i < messages.length;i++) {
+      const hash = await messages[i].getHash();
+      hashes[hash] = true;
+      if (messages[i].signedData.type === MANIFEST_TYPE) {
+        manifests.push(messages[i]);
+      } else if (index.messagesByHash[hash]) {
+        existing++;
+      } else {
+        newMessages.push(messages[i]);
+      }
+    }
+    const added = newMessages.length ? await index.addMessages(newMessages) : 0;
+    const identities = manifests.map(manifest => {
+      const {messages: listed, userData} = manifest.signedData;
+      const restored = manifest.pubKey === index.key.pub;
+      if (restored && userData) {
+        index.user.put(userData);
+      }
+      return {keyID: manifest.signedData.author.keyID, restored, missing: listed.filter(h => !hashes[h]).length};
+    });
+    return {added, duplicates: duplicates + existing, skipped: newMessages.length - added, invalid, identities};
+  }
+
+  /**
+  * Export what a key has published: the messages it has signed in its SocialNetwork index, its profile, follows,
+  * reactions and channels list. The archive can be loaded into another gun instance with importMessages().
+  * @param {Object} gun gun instance
+  * @param {Object} key keypair whose data is exported. The private key is needed to sign the manifest.
+  * @param {Object} options (optional) {maxMessages: max number of messages to export (default 10000)}
+  * @returns {Promise<string>} NDJSON archive: the messages followed by a signed identityArchive manifest
+  */
+  static async exportIdentity(gun: Object, key: Object, options: Object = {}) {
+    const user = gun.user(key.pub);
+    const stored = await util.loadGunDepth(user.get(`iris`).get(`messagesByHash`), 1, {maxBreadth: options.maxMessages || 10000});
+    const lines = [];
+    const hashes = [];
+    const storedHashes = Object.keys(stored || {}).filter(k => k !== `_`);
+    for (let i = 0;i < storedHashes.length;i++) {
+      const data = stored[storedHashes[i]];
+      if (!data || data.pubKey !== key.pub) {
+        continue; // only messages signed by the key, not the ones it has indexed
+      }
+      try {
+        const msg = await SignedMessage.fromSig(data);
+        hashes.push(await msg.getHash());
+        lines.push(msg.toString());
+      } catch (e) {
+        continue; // invalid message in index
+      }
+    }
+    const userData = {};
+    for (let i = 0;i < USER_DATA_FIELDS.length;i++) {
+      const value = cleanGunData(await util.loadGunDepth(user.get(USER_DATA_FIELDS[i]), 1));
+      if (value) {
+        userData[USER_DATA_FIELDS[i]] = value;
+      }
+    }
+    // channels list: the encrypted channel ids, but not the messages
+    const chats = await util.loadGunDepth(user.get(`chats`), 0);
+    const chatIds = Object.keys(chats || {}).filter(k => k !== `_`);
+    for (let i = 0;i < chatIds.length;i++) {
+      const pub = await util.timeoutPromise(util.gunOnceDefined(user.get(`chats`).get(chatIds[i]).get(`pub`)), CHAT_PUB_WAIT);
+      if (typeof pub === `string`) {
+        userData.chats = userData.chats || {};
+        userData.chats[chatIds[i]] = {pub};
+      }
+    }
+    const manifest = await SignedMessage.createOfType(MANIFEST_TYPE, {messages: hashes, userData}, key);
+    lines.push(manifest.toString());
+    return `${lines.join(`\n`)}\n`;
+  }
+}
+
+SignedMessage.registerType(MANIFEST_TYPE, {
+  schema: {
+    required: [`messages`, `userData`],
+    properties: {
+      author: {type: `object`, required: [`keyID`]}, // the exported key
+      messages: {type: `array`, items: {type: `string`}},
+      userData: {type: `object`}
+    }
+  }
+});
+
+export default Archive;
@@ -2,6 +2,13 @@ import Gun from 'gun';
 import 'gun/sea';
 import util from './util';
 import Attribute from './Attribute';
+import Ratchet from './Ratchet';
+
+const MESSAGE_PAGE_WAIT = 1000; // ms to wait for more messages before returning a page. Also the max total wait of the time window queries of a page.
+const MESSAGE_PAGE_SETTLE = 100; // ms to wait for more messages of a time window, or when there are enough for the page
+const MESSAGE_PAGE_WINDOW = 24 * 60 * 60 * 1000; // ms, time range of the first query for the latest messages. Each next one is 4x longer.
+const MESSAGE_PAGE_MAX_QUERIES = 8; // the windows cover about 60 years back from the end of the page
+const CHAT_BOX_PAGE_SIZE = 30;
 
 /**
 * Private communication channel between two or more participants ([Gun](https://github.com/amark/gun) public keys). Can be used independently of other Iris stuff.
@@ -15,7 +22,7 @@ import Attribute from './Attribute';
 *
 * Note that each participant has their own versions of each key-value — they don't overwrite each other. `channel.on()` callback returns them all by default and has a parameter that indicates whose value you got.
 *
-* While values are encrypted, encryption of keys is not implemented yet.
+* Values are encrypted, and keys are stored under hashed names that only the participants can compute, so observers of the gun graph can't tell which keys a channel uses. Values saved under plaintext key names by earlier versions are still read until the key is written again. Plaintext key names are written only if you opt in with options.legacyKeyNames.
 *
 * #### Message API
 * `channel.send()` and `channel.getMessages()` for timestamp-indexed chat-style messaging.
@@ -37,6 +44,8 @@ import Attribute from './Attribute';
 * @param {string} options.chatLink (optional) chat link instead of participants list
 * @param {string} options.uuid (group channels only) unique channel identifier. Leave out for new channel.
 * @param {string} options.name (group channels only) channel name
+* @param {boolean} options.legacyKeyNames (optional, default false) also write key-value pairs under their plaintext names, which versions before hashed key names read. This reveals to observers of the gun graph which keys the channel uses.
+* @param options.ratchet (optional, direct channels only) true or {storage} to encrypt the messages you send with a Ratchet: a new key for each message, for forward secrecy. options.ratchet.storage is passed to the Ratchet. Without it, you can read the history of earlier sessions only if you have kept the Channel object. The ratchet state is per device.
 * @example
 * // Copy & paste this to console at https://iris.to or other page that has gun, sea and iris-lib
 * // Due to an unsolved bug, someoneElse's messages only start showing up after a reload
@@ -87,13 +96,20 @@ class Channel {
     this.myGroupSecret = options.myGroupSecret;
     this.theirSecretUuids = {};
     this.theirGroupSecrets = {};
+    this.oldGroupSecrets = options.oldGroupSecrets || {}; // maps public key to earlier group secrets, for reading messages sent before a rotation
     this.user = this.gun.user();
     this.user.auth(this.key);
     this.user.put({epub: this.key.epub});
     this.secrets = {}; // maps participant public key to shared secret
     this.ourSecretChannelIds = {}; // maps participant public key to our secret mutual channel id
     this.theirSecretChannelIds = {}; // maps participant public key to their secret mutual channel id
-    this.messages = {};
+    this.messages = {}; // decrypted messages by sender public key and time
+    this.messageData = {}; // encrypted message data by sender public key and time, to tell edits from repeated callbacks
+    this.sentMessageTimes = {}; // times of the messages we have sent or received from ourselves
+    this.keyNames = {}; // maps secret and key to a promise of the hashed key name
+    this.legacyKeyNames = !!options.legacyKeyNames;
+    this.groupKeySubscribers = {}; // maps public key to functions that subscribe to key names of their new group secret
+    this.groupSecretIds = {}; // maps group secret to a promise of its id
     this.chatLinks = {};
     this.groupSubscriptions = {};
     this.directSubscriptions = {};
@@ -130,48 +146,32 @@ class Channel {
       this.getChatLinks({subscribe: true});
     }
     this.participants = options.participants;
+    if (options.ratchet) {
+      if (options.uuid) {
+        throw new Error(`options.ratchet is only supported in direct channels`);
+      }
+      this.ratchetOptions = options.ratchet === true ? {} : options.ratchet;
+    }
+    this.ratchets = {}; // maps participant public key to a promise of their Ratchet
     if (options.uuid) { // It's a group channel
       // share secret uuid with other participants. since secret is already non-deterministic, maybe uuid could also be?
       // generate channel-specific secret and share it with other participants
-      // put() keys should be encrypted first? so you could do put(uuid, secret)
       // what if you join the channel with 2 unconnected devices? on reconnect, the older secret would be overwritten and messages unreadable. maybe participants should store each others' old keys? or maybe you should store them and re-encrypt old stuff when key changes? return them with map() instead?
-      this.putDirect(`S${this.uuid}`, this.getMyGroupSecret());
+      this._putMyGroupSecret();
       this.getMySecretUuid().then(s => {
-        this.putDirect(this.uuid, s); // TODO: encrypt keys in put()
+        this.putDirect(this.uuid, s);
       });
       this.onTheirDirect(this.uuid, (s, k, from) => {
         this.theirSecretUuids[from] = s;
       });
       this.onTheirDirect(`S${this.uuid}`, (s, k, from) => {
-        this.theirGroupSecrets[from] = s;
+        this._setTheirGroupSecret(from, s);
       });
       // need to make put(), on(), send() and getMessages() behave differently when it's a group and retain the old versions for mutual signaling
     }
     this.onTheir(`participants`, (participants, k, from) => {
-      let hasAdmin = false;
-      const keys = Object.keys(this.participants);
-      for (let i = 0; i < keys.length; i++) {
-        if (this.participants[keys[i]].admin || this.participants[keys[i]].inviter) {
-          hasAdmin = true;
-          break;
-        }
-      }
-      if (!hasAdmin) {
-        keys.forEach(k => this.participants[k].admin = true); // if no admins, make everyone admin
-      }
-      if (this.participants[from] && (this.participants[from].admin || this.participants[from].inviter)) {
-        if (typeof participants === `object`) {
-          if (JSON.stringify(this.participants) === JSON.stringify(participants)) { return; }
-          this.participants = participants;
-          delete this.participants[from].inviter;
-          Object.keys(participants).forEach(k => {
-            if (k !== this.key.pub) {
-              this.addParticipant(k, true, Object.assign({}, this.DEFAULT_PERMISSIONS, participants[k]), true);
-            }
-          });
-          this.participantsChanged();
-          options.saved = true;
-        }
+      if (this.participantsReceived(participants, from)) {
+        options.saved = true;
       }
     });
     if (!options.saved && (options.save === undefined || options.save === true)) {
@@ -230,7 +230,7 @@ class Channel {
     return new Promise(resolve => {
       if (!this.theirGroupSecrets[pub]) {
         this.onTheirDirect(`S${this.uuid}`, s => {
-          this.theirGroupSecrets[pub] = s;
+          this._setTheirGroupSecret(pub, s);
           resolve(this.theirGroupSecrets[pub]);
         }, pub);
       } else {
@@ -239,10 +239,102 @@ class Channel {
     });
   }
 
+  _setTheirGroupSecret(pub, secret) {
+    const old = this.theirGroupSecrets[pub];
+    this.theirGroupSecrets[pub] = secret;
+    if (old && old !== secret) {
+      this._archiveGroupSecret(pub, old);
+      this.save();
+    }
+    if (old !== secret) {
+      (this.groupKeySubscribers[pub] || []).forEach(subscribe => subscribe(secret));
+    }
+  }
+
+  _archiveGroupSecret(pub, secret) {
+    this.oldGroupSecrets[pub] = this.oldGroupSecrets[pub] || [];
+    if (this.oldGroupSecrets[pub].indexOf(secret) === -1) {
+      this.oldGroupSecrets[pub].push(secret);
+    }
+  }
+
+  /**
+  * Replace our group secret with a new one, which is shared only with participants that have read permission.
+  * The old one is kept in the saved channel, so that our earlier messages can still be decrypted.
+  */
   changeMyGroupSecret() {
+    if (this.myGroupSecret) {
+      this._archiveGroupSecret(this.key.pub, this.myGroupSecret);
+    }
     this.myGroupSecret = Gun.SEA.random(32).toString('base64');
-    // TODO: secret should be archived and probably messages should include the encryption key id so past messages don't become unreadable
-    this.putDirect(`S${this.uuid}`, this.myGroupSecret);
+    this._putMyGroupSecret();
+    this.save();
+    (this.groupKeySubscribers[this.key.pub] || []).forEach(subscribe => subscribe(this.myGroupSecret));
+  }
+
+  /**
+  * Share our current group secret with the participants that have read permission, and remove it from the others.
+  * Puts are done one at a time, so that an older secret doesn't overwrite a newer one.
+  */
+  _putMyGroupSecret() {
+    this.getMyGroupSecret(); // create it now, so that it's available right away
+    this.groupSecretPut = (this.groupSecretPut || Promise.resolve()).then(async () => {
+      if (!this.uuid) { return; }
+      const keys = this.getCurrentParticipants();
+      for (let i = 0;i < keys.length;i++) {
+        const value = this.hasReadPermission(keys[i]) ? this.getMyGroupSecret() : null;
+        const secret = await this.getSecret(keys[i]);
+        const encrypted = await Gun.SEA.encrypt(JSON.stringify(value), secret);
+        const ourSecretChannelId = await this.getOurSecretChannelId(keys[i]);
+        await this._putKey(this.user.get(`chats`).get(ourSecretChannelId), `S${this.uuid}`, secret, encrypted);
+      }
+    });
+    return this.groupSecretPut;
+  }
+
+  /**
+  * Id of a group secret that is added to the data encrypted with it: the first characters of its hash
+  */
+  _getGroupSecretId(secret) {
+    if (!this.groupSecretIds[secret]) {
+      this.groupSecretIds[secret] = util.getHash(secret).then(hash => hash.slice(0, 8));
+    }
+    return this.groupSecretIds[secret];
+  }
+
+  /**
+  * Encrypt group channel data with our group secret. The id of the secret is added to the SEA payload as k,
+  * so that readers know which of our secrets to use. Earlier versions ignore it.
+  * @returns {Promise<string>}
+  */
+  async _encryptGroupData(data, secret) {
+    const encrypted = await Gun.SEA.encrypt(data, secret, undefined, {raw: true});
+    encrypted.k = await this._getGroupSecretId(secret);
+    return `SEA${JSON.stringify(encrypted)}`;
+  }
+
+  /**
+  * Decrypt group channel data with the group secret of pub whose id is in the payload: the current one, or an earlier one if it was encrypted before a rotation.
+  * Data of earlier versions has no secret id, so all of pub's secrets are tried.
+  */
+  async _decryptGroupData(data, pub) {
+    let secrets = [await this.getTheirGroupSecret(pub)].concat((this.oldGroupSecrets[pub] || []).slice().reverse());
+    let secretId;
+    try {
+      secretId = JSON.parse(data.slice(3)).k;
+    } catch (e) {
+      return;
+    }
+    if (secretId) {
+      const ids = await Promise.all(secrets.map(secret => this._getGroupSecretId(secret)));
+      secrets = secrets.filter((secret, i) => ids[i] === secretId);
+    }
+    for (let i = 0;i < secrets.length;i++) {
+      const decrypted = await Gun.SEA.decrypt(data, secrets[i]);
+      if (decrypted) {
+        return decrypted;
+      }
+    }
   }
 
   /**
@@ -301,6 +393,44 @@ class Channel {
     }
   }
 
+  /**
+  * Take a participants list that another participant has published into use, if they are an admin or the inviter.
+  * If someone has lost read permission, our group secret is changed so that they can't read our new messages.
+  * @returns {boolean} true if the list was changed
+  */
+  participantsReceived(participants, from) {
+    let hasAdmin = false;
+    const keys = Object.keys(this.participants);
+    for (let i = 0; i < keys.length; i++) {
+      if (this.participants[keys[i]].admin || this.participants[keys[i]].inviter) {
+        hasAdmin = true;
+        break;
+      }
+    }
+    if (!hasAdmin) {
+      keys.forEach(k => this.participants[k].admin = true); // if no admins, make everyone admin
+    }
+    if (!(this.participants[from] && (this.participants[from].admin || this.participants[from].inviter)) || typeof participants !== `object`) {
+      return false;
+    }
+    if (JSON.stringify(this.participants) === JSON.stringify(participants)) { return false; }
+    const removed = Object.keys(this.participants).filter(pub =>
+      pub !== this.key.pub && this.participants[pub].read && !(participants[pub] && participants[pub].read)
+    );
+    this.participants = participants;
+    delete this.participants[from].inviter;
+    Object.keys(participants).forEach(k => {
+      if (k !== this.key.pub) {
+        this.addParticipant(k, true, Object.assign({}, this.DEFAULT_PERMISSIONS, participants[k]), true);
+      }
+    });
+    if (removed.length) {
+      this.changeMyGroupSecret(); // so that removed participants can't read our new messages
+    }
+    this.participantsChanged();
+    return true;
+  }
+
   participantsChanged() {
     Object.keys(this.getParticipantsCallbacks).forEach(id => {
       this.getParticipantsCallbacks[id](this.participants);
@@ -376,6 +506,7 @@ class Channel {
               participants: chatId.participants,
               uuid: chatId.uuid,
               myGroupSecret: chatId.myGroupSecret,
+              oldGroupSecrets: chatId.oldGroupSecrets,
               save: false
             }));
           }
@@ -386,7 +517,7 @@ class Channel {
 
   getMyGroupSecret() { // group secret could be deterministic: hash(encryptToSelf(uuid + iterator))
     if (!this.myGroupSecret) {
-      this.changeMyGroupSecret();
+      this.myGroupSecret = Gun.SEA.random(32).toString('base64');
     }
     return this.myGroupSecret;
   }
@@ -408,9 +539,27 @@ class Channel {
   }
 
   /**
-  * Get messages from the channel
+  * Get messages from the channel.
+  *
+  * With a callback function, subscribes to all messages of the channel in arbitrary order.
+  * Edited and deleted messages are called back again: edited messages have msg.edited (time of the edit) and deleted ones have msg.deleted = true and no content.
+  *
+  * With an options object, loads one page of messages using gun lexical range queries on the message time keys.
+  * Returns the latest options.limit messages sent after options.after and before options.before (default: now), sorted by time.
+  * For "load older" scrolling, use the time of the oldest message as options.before of the next page.
+  *
+  * With options.callback, subscribes to the messages sent after options.after instead of returning a page.
+  * @param {Function|Object} callback function(msg, info) or options {limit, before, after, callback}. before and after are Dates or ISO time strings.
+  * @returns {Promise<Array>|undefined} with options and no callback: [{message, info}] sorted by message time
+  * @example
+  * var page = await channel.getMessages({limit: 20});
+  * var older = await channel.getMessages({limit: 20, before: page[0].message.time});
+  * channel.getMessages({after: page[page.length - 1].message.time, callback: (msg, info) => console.log(msg.text)});
   */
   async getMessages(callback) { // TODO: save callback and apply it when new participants are added to channel
+    if (typeof callback === `object`) {
+      return callback.callback ? this._subscribeMessagesAfter(callback) : this._getMessagePage(callback);
+    }
     this.getCurrentParticipants().forEach(async pub => {
       if (pub !== this.key.pub) {
         // Subscribe to their messages
@@ -420,35 +569,168 @@ class Channel {
         } else {
           theirSecretChannelId = await this.getTheirSecretChannelId(pub);
         }
-        this.gun.user(pub).get(`chats`).get(theirSecretChannelId).get(`msgs`).map().once((data, key) => {this.messageReceived(callback, data, this.uuid || pub, false, key, pub);});
+        this.gun.user(pub).get(`chats`).get(theirSecretChannelId).get(`msgs`).map().on((data, key) => {this.messageReceived(callback, data, this.uuid || pub, false, key, pub);});
       }
       if (!this.uuid) {
         // Subscribe to our messages
         const ourSecretChannelId = await this.getOurSecretChannelId(pub);
-        this.user.get(`chats`).get(ourSecretChannelId).get(`msgs`).map().once((data, key) => {this.messageReceived(callback, data, pub, true, key, this.key.pub);});
+        this.user.get(`chats`).get(ourSecretChannelId).get(`msgs`).map().on((data, key) => {this.messageReceived(callback, data, pub, true, key, this.key.pub);});
       }
     });
     if (this.uuid) {
       // Subscribe to our messages
       const mySecretUuid = await this.getMySecretUuid();
-      this.user.get(`chats`).get(mySecretUuid).get(`msgs`).map().once((data, key) => {this.messageReceived(callback, data, this.uuid, true, key, this.key.pub);});
+      this.user.get(`chats`).get(mySecretUuid).get(`msgs`).map().on((data, key) => {this.messageReceived(callback, data, this.uuid, true, key, this.key.pub);});
     }
   }
 
   async messageReceived(callback, data, channelId, selfAuthored, key, from) {
-    if (this.messages[key] || !data) {
+    const id = `${from}:${key}`;
+    if (!data || this.messageData[id] === data) {
       return;
     }
-    const secret = this.uuid ? (await this.getTheirGroupSecret(from)) : (await this.getSecret(channelId));
-    const decrypted = await Gun.SEA.decrypt(data, secret);
-    if (typeof decrypted !== `object`) {
+    this.messageData[id] = data;
+    const decrypted = await this._decryptMessage(data, channelId, from);
+    if (!decrypted) {
       return;
     }
     const info = {selfAuthored, channelId, from};
-    this.messages[key] = decrypted;
+    this.messages[id] = decrypted;
+    if (from === this.key.pub) {
+      this.sentMessageTimes[key] = true;
+    }
     callback(decrypted, info);
   }
 
+  async _decryptMessage(data, channelId, from) {
+    if (Ratchet.isPayload(data)) {
+      return this.uuid ? undefined : (await this.getRatchet(channelId)).decrypt(data);
+    }
+    const decrypted = this.uuid ? (await this._decryptGroupData(data, from)) : (await Gun.SEA.decrypt(data, (await this.getSecret(channelId))));
+    return typeof decrypted === `object` ? decrypted : undefined;
+  }
+
+  /**
+  * The msgs nodes that messages are read from: each participant's node for this channel.
+  * soul is needed for lexical queries, which gun only supports on souls. User space souls are paths.
+  * @returns {Promise<Array>} [{soul, channelId, selfAuthored, from}]
+  */
+  async _getMessageSources() {
+    const sources = [];
+    const add = (pub, secretChannelId, channelId, selfAuthored) => {
+      if (secretChannelId) {
+        sources.push({soul: `~${pub}/chats/${secretChannelId}/msgs`, channelId, selfAuthored, from: pub});
+      }
+    };
+    const participants = this.getCurrentParticipants();
+    for (let i = 0;i < participants.length;i++) {
+      const pub = participants[i];
+      if (pub !== this.key.pub) {
+        // their secret uuid is not known until they have joined the group
+        const theirSecretChannelId = this.uuid ?
+          (await Promise.race([this.getTheirSecretUuid(pub), new Promise(resolve => setTimeout(resolve, MESSAGE_PAGE_WAIT))])) :
+          (await this.getTheirSecretChannelId(pub));
+        add(pub, theirSecretChannelId, this.uuid || pub, false);
+      }
+      if (!this.uuid) {
+        add(this.key.pub, await this.getOurSecretChannelId(pub), pub, true);
+      }
+    }
+    if (this.uuid) {
+      add(this.key.pub, await this.getMySecretUuid(), this.uuid, true);
+    }
+    return sources;
+  }
+
+  async _getMessagePage(options) {
+    const after = options.after && new Date(options.after).toISOString();
+    const before = new Date(options.before || Date.now()).toISOString();
+    const sources = await this._getMessageSources();
+    let found = [];
+    if (options.limit && !after) {
+      // query time windows going back from before until there are enough messages, so that the whole history is not downloaded
+      const deadline = Date.now() + MESSAGE_PAGE_WAIT;
+      let end = before;
+      let windowSize = MESSAGE_PAGE_WINDOW;
+      for (let i = 0;i < MESSAGE_PAGE_MAX_QUERIES && found.length < options.limit && Date.now() < deadline;i++) {
+        const start = new Date(Date.parse(end) - windowSize).toISOString();
+        const range = {'<': end, '>': start};
+        const isInRange = key => key >= start && key < end;
+        found = found.concat(await this._queryMessages(sources, range, isInRange, options.limit - found.length, MESSAGE_PAGE_SETTLE, deadline));
+        end = start;
+        windowSize *= 4;
+      }
+    } else {
+      const range = {'<': before};
+      if (after) { range['>'] = after; }
+      found = await this._queryMessages(sources, range, key => (!after || key > after) && key < before, options.limit);
+    }
+    found.sort((a, b) => (a.key < b.key ? -1 : (a.key > b.key ? 1 : 0)));
+    const page = options.limit ? found.slice(-options.limit) : found;
+    const messages = await Promise.all(page.map(async ({data, source}) => {
+      const message = await this._decryptMessage(data, source.channelId, source.from);
+      const info = {selfAuthored: source.selfAuthored, channelId: source.channelId, from: source.from};
+      return message && {message, info};
+    }));
+    return messages.filter(m => m);
+  }
+
+  /**
+  * Get the messages of sources whose time keys are in range.
+  * A source is done when it has sent no more for wait ms, or for MESSAGE_PAGE_SETTLE after sending limit messages, or at deadline.
+  * @param {number} wait (optional) ms. Default MESSAGE_PAGE_WAIT.
+  * @param {number} deadline (optional) time in ms to stop waiting at
+  * @returns {Promise<Array>} [{data, key, source}]
+  */
+  async _queryMessages(sources, range, isInRange, limit, wait = MESSAGE_PAGE_WAIT, deadline = Infinity) {
+    const found = [];
+    await Promise.all(sources.map(source => new Promise(resolve => {
+      let count = 0;
+      let done = false;
+      const finish = () => {
+        done = true;
+        resolve();
+      };
+      const waitFor = ms => setTimeout(finish, Math.max(0, Math.min(ms, deadline - Date.now())));
+      // gun doesn't tell when all keys have been received, so wait until they stop coming
+      let timeout = waitFor(wait);
+      // peers without lexical query support return all keys, so they're filtered here too
+      this.gun.get({'#': source.soul, '.': range}).map().once((data, key) => {
+        if (done || !data || !Date.parse(key) || !isInRange(key)) {
+          return;
+        }
+        found.push({data, key, source});
+        count++;
+        clearTimeout(timeout);
+        // keys are not received newest first, so wait for the rest of the batch
+        timeout = waitFor(limit && count >= limit ? MESSAGE_PAGE_SETTLE : wait);
+      });
+    })));
+    return found;
+  }
+
+  async _subscribeMessagesAfter(options) {
+    const after = options.after && new Date(options.after).toISOString();
+    const sources = await this._getMessageSources();
+    sources.forEach(source => {
+      const lex = {'#': source.soul};
+      if (after) {
+        lex['.'] = {'>': after};
+      }
+      const seen = {};
+      this.gun.get(lex).map().on(async (data, key) => {
+        if (!data || seen[key] === data || !Date.parse(key) || (after && key <= after)) {
+          return;
+        }
+        seen[key] = data; // edited and deleted messages are called back again
+        const message = await this._decryptMessage(data, source.channelId, source.from);
+        if (message) {
+          options.callback(message, {selfAuthored: source.selfAuthored, channelId: source.channelId, from: source.from});
+        }
+      });
+    });
+  }
+
   /**
   * Get latest message in this channel. Useful for channel listing.
   */
@@ -459,7 +741,7 @@ class Channel {
         callback(msg, info);
       } else {
         const t = (typeof this.latest.time === `string` ? this.latest.time : this.latest.time.toISOString());
-        if (t < msg.time) {
+        if (t < msg.time || (t === msg.time && msg.edited && msg.edited !== this.latest.edited)) { // edited or deleted
           this.latest = msg;
           callback(msg, info);
         }
@@ -502,8 +784,16 @@ class Channel {
     });
   }
 
+  /**
+  * Remove a participant. In a group channel, our group secret is changed and the new one is not shared with the removed participant,
+  * so they can't read our new messages. Other participants change theirs when they get the updated participants list.
+  * @param {string} pub
+  */
   async removeParticipant(pub) {
-    this.addParticipant(pub, true, {read: false, write: false});
+    await this.addParticipant(pub, true, {read: false, write: false});
+    if (this.uuid) {
+      this.changeMyGroupSecret();
+    }
   }
 
   /**
@@ -528,15 +818,15 @@ class Channel {
     if (this.uuid) {
       this.participants[pub] = permissions;
       if (save) {
-        this.putDirect(`S${this.uuid}`, this.getMyGroupSecret());
+        this._putMyGroupSecret();
         this.getMySecretUuid().then(s => {
-          this.putDirect(this.uuid, s); // TODO: encrypt keys in put()
+          this.putDirect(this.uuid, s);
         });
         this.onTheirDirect(this.uuid, (s, k, from) => {
           this.theirSecretUuids[from] = s;
         });
         this.onTheirDirect(`S${this.uuid}`, (s, k, from) => {
-          this.theirGroupSecrets[from] = s;
+          this._setTheirGroupSecret(from, s);
         });
         this.save();
       }
@@ -555,7 +845,7 @@ class Channel {
           if (permissions.write) {
             this._onTheirGroupFromUser(pub, o.key, o.callback);
           } else {  // unsubscribe
-            o.event && o.event.off();
+            o.events.forEach(e => e.off());
           }
         });
       });
@@ -582,22 +872,141 @@ class Channel {
       throw new Error(`msg param must be a string or an object`);
     }
     //this.gun.user().get('message').set(temp);
+    return this._putMessage(msg, true);
+  }
+
+  /**
+  * Edit a message you have sent. The edited message replaces the original one, and getMessages() calls it back again with msg.edited set to the time of the edit.
+  * @param {string} time time of the message to edit, as returned in msg.time
+  * @param newContent string or {text, ...} object: the new content of the message
+  */
+  async editMessage(time, newContent) {
+    if (typeof newContent === `string`) {
+      newContent = {text: newContent};
+    } else if (typeof newContent !== `object` || !newContent) {
+      throw new Error(`newContent param must be a string or an object`);
+    }
+    time = await this._getSentMessageTime(time);
+    const latest = time === (await this._getMyLatestMsgTime());
+    return this._putMessage(Object.assign({}, newContent, {time, edited: (new Date()).toISOString()}), latest);
+  }
+
+  /**
+  * Delete a message you have sent. It is replaced with an encrypted tombstone {time, deleted: true}, which getMessages() calls back instead of the message.
+  * @param {string} time time of the message to delete, as returned in msg.time
+  */
+  async deleteMessage(time) {
+    time = await this._getSentMessageTime(time);
+    const latest = time === (await this._getMyLatestMsgTime());
+    return this._putMessage({time, deleted: true, edited: (new Date()).toISOString()}, latest);
+  }
+
+  /**
+  * Check that time is the time of a message we have sent, and return it as a string.
+  * Messages that we haven't sent or received in this session are looked up in our msgs node.
+  */
+  async _getSentMessageTime(time) {
+    const error = new Error(`time param must be the time of a sent message`);
+    if (!time || !Date.parse(time)) {
+      throw error;
+    }
+    time = typeof time === `string` ? time : time.toISOString();
+    if (!this.sentMessageTimes[time]) {
+      const channelId = this.uuid ? (await this.getMySecretUuid()) : (await this.getOurSecretChannelId(this.getCurrentParticipants()[0]));
+      const node = this.user.get(`chats`).get(channelId).get(`msgs`).get(time);
+      const data = await Promise.race([util.gunOnceDefined(node), new Promise(resolve => setTimeout(resolve, MESSAGE_PAGE_WAIT))]);
+      if (!data) {
+        throw error;
+      }
+      this.sentMessageTimes[time] = true;
+    }
+    return time;
+  }
+
+  /**
+  * Time of our latest message, from the latestMsg that we have saved
+  * @returns {Promise<string>} or undefined if we haven't sent messages
+  */
+  _getMyLatestMsgTime() {
+    if (!this.myLatestMsgTimeLoaded) {
+      this.myLatestMsgTimeLoaded = new Promise(resolve => {
+        this.onMy(`latestMsg`, msg => {
+          if (msg && msg.time && !(this.myLatestMsgTime > msg.time)) {
+            this.myLatestMsgTime = msg.time;
+          }
+          resolve();
+        });
+        setTimeout(resolve, MESSAGE_PAGE_WAIT);
+      });
+    }
+    return this.myLatestMsgTimeLoaded.then(() => this.myLatestMsgTime);
+  }
+
+  /**
+  * Encrypt and write a message to msgs/<msg.time> in our channel spaces
+  * @param {boolean} latest whether to update latestMsg too
+  */
+  async _putMessage(msg, latest) {
+    this.sentMessageTimes[msg.time] = true;
+    if (latest && !(this.myLatestMsgTime > msg.time)) {
+      this.myLatestMsgTime = msg.time;
+    }
     if (this.uuid) {
-      const encrypted = await Gun.SEA.encrypt(JSON.stringify(msg), this.getMyGroupSecret());
+      const secret = this.getMyGroupSecret();
+      const encrypted = await this._encryptGroupData(JSON.stringify(msg), secret);
       const mySecretUuid = await this.getMySecretUuid();
       this.user.get(`chats`).get(mySecretUuid).get(`msgs`).get(`${msg.time}`).put(encrypted);
-      this.user.get(`chats`).get(mySecretUuid).get(`latestMsg`).put(encrypted);
+      if (latest) {
+        await this._putKey(this.user.get(`chats`).get(mySecretUuid), `latestMsg`, secret, encrypted);
+      }
     } else {
       const keys = this.getCurrentParticipants();
       for (let i = 0;i < keys.length;i++) {
-        const encrypted = await Gun.SEA.encrypt(JSON.stringify(msg), (await this.getSecret(keys[i])));
+        const secret = await this.getSecret(keys[i]);
+        const encrypted = this.ratchetOptions ?
+          (await (await this.getRatchet(keys[i])).encrypt(msg)) :
+          (await Gun.SEA.encrypt(JSON.stringify(msg), secret));
         const ourSecretChannelId = await this.getOurSecretChannelId(keys[i]);
         this.user.get(`chats`).get(ourSecretChannelId).get(`msgs`).get(`${msg.time}`).put(encrypted);
-        this.user.get(`chats`).get(ourSecretChannelId).get(`latestMsg`).put(encrypted);
+        if (latest) {
+          // with a ratchet, only the time of the latest message is shared with the static secret
+          const latestMsg = this.ratchetOptions ? (await Gun.SEA.encrypt(JSON.stringify({time: msg.time}), secret)) : encrypted;
+          await this._putKey(this.user.get(`chats`).get(ourSecretChannelId), `latestMsg`, secret, latestMsg);
+        }
       }
     }
   }
 
+  /**
+  * Ratchet that encrypts our messages to a direct channel participant and decrypts theirs.
+  * If options.ratchet is set, our ephemeral epub is published in the ratchetEpub key of the channel. Theirs is read from it.
+  * Messages encrypted with a ratchet are decrypted also if options.ratchet is not set.
+  * @returns {Promise<Ratchet>}
+  */
+  getRatchet(pub) {
+    if (!this.ratchets[pub]) {
+      this.ratchets[pub] = (async () => {
+        const theirEpub = await util.gunOnceDefined(this.gun.user(pub).get(`epub`));
+        const ratchet = new Ratchet({
+          key: this.key,
+          theirEpub,
+          secret: await this.getSecret(pub),
+          storage: this.ratchetOptions && this.ratchetOptions.storage,
+          storageKey: `iris.ratchet.${this.key.pub}.${pub}`,
+          onNewEpub: epub => this.putDirect(`ratchetEpub`, epub)
+        });
+        if (this.ratchetOptions) { // otherwise they would encrypt to a key that is lost on reload
+          this.putDirect(`ratchetEpub`, await ratchet.getEpub());
+        }
+        if (pub !== this.key.pub) {
+          this._onTheirDirectFromUser(pub, `ratchetEpub`, epub => ratchet.setTheirEpub(epub));
+        }
+        return ratchet;
+      })();
+    }
+    return this.ratchets[pub];
+  }
+
   /**
   * Save the channel to our channels list without sending a message
   */
@@ -610,6 +1019,7 @@ class Channel {
       this.user.get(`chats`).get(mySecretUuid).get(`pub`).put(await Gun.SEA.encrypt({
         uuid: this.uuid,
         myGroupSecret: this.getMyGroupSecret(),
+        oldGroupSecrets: this.oldGroupSecrets,
         participants: this.participants // private participants list
       }, mySecret));
       this.participantsChanged();
@@ -633,21 +1043,97 @@ class Channel {
 
   async putGroup(key, value) {
     if (key === `msgs`) { throw new Error(`Sorry, you can't overwrite the msgs field which is used for .send()`); }
-    const encrypted = await Gun.SEA.encrypt(JSON.stringify(value), this.getMyGroupSecret());
+    const secret = this.getMyGroupSecret();
+    const encrypted = await this._encryptGroupData(JSON.stringify(value), secret);
     const mySecretUuid = await this.getMySecretUuid();
-    this.user.get(`chats`).get(mySecretUuid).get(key).put(encrypted);
+    await this._putKey(this.user.get(`chats`).get(mySecretUuid), key, secret, encrypted);
   }
 
   async putDirect(key, value) {
     if (key === `msgs`) { throw new Error(`Sorry, you can't overwrite the msgs field which is used for .send()`); }
     const keys = this.getCurrentParticipants();
     for (let i = 0;i < keys.length;i++) {
-      const encrypted = await Gun.SEA.encrypt(JSON.stringify(value), (await this.getSecret(keys[i])));
+      const secret = await this.getSecret(keys[i]);
+      const encrypted = await Gun.SEA.encrypt(JSON.stringify(value), secret);
       const ourSecretChannelId = await this.getOurSecretChannelId(keys[i]);
-      this.user.get(`chats`).get(ourSecretChannelId).get(key).put(encrypted);
+      await this._putKey(this.user.get(`chats`).get(ourSecretChannelId), key, secret, encrypted);
     }
   }
 
+  /**
+  * Hashed name of a key in the gun graph: HMAC of the key with the secret that the value is encrypted with.
+  * Direct channels use the secret shared with the participant, and group channels the writer's group secret,
+  * so that participants removed before a group secret rotation can't tell which keys are written after it.
+  * @returns {Promise<string>}
+  */
+  _getKeyName(key, secret) {
+    this.keyNames[secret] = this.keyNames[secret] || {};
+    if (!this.keyNames[secret][key]) {
+      this.keyNames[secret][key] = util.getHmac(key, secret);
+    }
+    return this.keyNames[secret][key];
+  }
+
+  /**
+  * Put a value under the hashed name of key, and under the plaintext key name for earlier versions if options.legacyKeyNames is set
+  */
+  async _putKey(node, key, secret, value) {
+    node.get(await this._getKeyName(key, secret)).put(value);
+    if (this.legacyKeyNames) {
+      node.get(key).put(value);
+    }
+  }
+
+  /**
+  * Subscribe to the value under the hashed name of key. Until it has a value, the plaintext key name of earlier versions is also read.
+  * @param callback function(data, event)
+  */
+  async _onKey(node, key, secret, callback) {
+    let hasValue = false;
+    this._onLegacyKey(node, key, callback, () => hasValue);
+    node.get(await this._getKeyName(key, secret)).on((data, k, msg, e) => {
+      hasValue = hasValue || data !== undefined;
+      callback(data, e);
+    });
+  }
+
+  /**
+  * Subscribe to key in the group channel node of pub. Values are saved under the names of the group secrets they're encrypted with,
+  * so the names of all pub's group secrets that we know are read, and the value under the newest one is called back.
+  * @param callback function(data, event)
+  * @param {Array} events (optional) gun events of the subscriptions are added here, so that they can be turned off
+  */
+  async _onGroupKey(node, pub, key, callback, events = []) {
+    const secrets = []; // oldest first
+    const values = {}; // maps secret to the value under its key name
+    const hasValue = secret => values[secret] !== undefined;
+    const subscribe = async secret => {
+      if (!secret || secrets.indexOf(secret) > -1) { return; }
+      secrets.push(secret);
+      node.get(await this._getKeyName(key, secret)).on((data, k, msg, e) => {
+        if (events.indexOf(e) === -1) { events.push(e); }
+        values[secret] = data;
+        if (!secrets.slice(secrets.indexOf(secret) + 1).some(hasValue)) {
+          callback(data, e);
+        }
+      });
+    };
+    this.groupKeySubscribers[pub] = this.groupKeySubscribers[pub] || [];
+    this.groupKeySubscribers[pub].push(subscribe);
+    this._onLegacyKey(node, key, callback, () => secrets.some(hasValue), events);
+    (this.oldGroupSecrets[pub] || []).forEach(subscribe);
+    subscribe(await this.getTheirGroupSecret(pub));
+  }
+
+  _onLegacyKey(node, key, callback, hasHashedValue, events = []) {
+    node.get(key).on((data, k, msg, e) => {
+      if (events.indexOf(e) === -1) { events.push(e); }
+      if (!hasHashedValue()) {
+        callback(data, e);
+      }
+    });
+  }
+
   /**
   * Subscribe to a key-value pair. Callback returns every participant's value unless you limit it with *from* param.
   * @param {string} key
@@ -687,8 +1173,9 @@ class Channel {
     const keys = this.getCurrentParticipants();
     for (let i = 0;i < keys.length;i++) {
       const ourSecretChannelId = await this.getOurSecretChannelId(keys[i]);
-      this.gun.user().get(`chats`).get(ourSecretChannelId).get(key).on(async data => {
-        const decrypted = await Gun.SEA.decrypt(data, (await this.getSecret(keys[i])));
+      const secret = await this.getSecret(keys[i]);
+      this._onKey(this.gun.user().get(`chats`).get(ourSecretChannelId), key, secret, async data => {
+        const decrypted = await Gun.SEA.decrypt(data, secret);
         if (decrypted) {
           callback(typeof decrypted.v !== `undefined` ? decrypted.v : decrypted, key);
         }
@@ -702,9 +1189,8 @@ class Channel {
       throw new Error(`onMy callback must be a function, got ${typeof callback}`);
     }
     const mySecretUuid = await this.getMySecretUuid();
-    const mySecret = await this.getMyGroupSecret();
-    this.gun.user().get(`chats`).get(mySecretUuid).get(key).on(async data => {
-      const decrypted = await Gun.SEA.decrypt(data, mySecret);
+    this._onGroupKey(this.gun.user().get(`chats`).get(mySecretUuid), this.key.pub, key, async data => {
+      const decrypted = await this._decryptGroupData(data, this.key.pub);
       if (decrypted) {
         callback(typeof decrypted.v !== `undefined` ? decrypted.v : decrypted, key, this.key.pub);
       }
@@ -718,9 +1204,10 @@ class Channel {
   async _onTheirDirectFromUser(pub, key, callback) {
     if (!this.hasWritePermission(pub)) { return; }
     const theirSecretChannelId = await this.getTheirSecretChannelId(pub);
-    this.gun.user(pub).get(`chats`).get(theirSecretChannelId).get(key).on(async data => {
+    const secret = await this.getSecret(pub);
+    this._onKey(this.gun.user(pub).get(`chats`).get(theirSecretChannelId), key, secret, async data => {
       if (!this.hasWritePermission(pub)) { return; }
-      const decrypted = await Gun.SEA.decrypt(data, (await this.getSecret(pub)));
+      const decrypted = await Gun.SEA.decrypt(data, secret);
       if (decrypted) {
         callback(typeof decrypted.v !== `undefined` ? decrypted.v : decrypted, key, pub);
       }
@@ -746,17 +1233,20 @@ class Channel {
     return !this.uuid || (this.participants && this.participants[pub] && this.participants[pub].write);
   }
 
+  hasReadPermission(pub) {
+    return !this.uuid || (this.participants && this.participants[pub] && this.participants[pub].read);
+  }
+
   async _onTheirGroupFromUser(pub, key, callback, subscription) {
     if (!this.hasWritePermission(pub)) { return; }
     const theirSecretUuid = await this.getTheirSecretUuid(pub);
-    this.gun.user(pub).get(`chats`).get(theirSecretUuid).get(key).on(async (data, a, b, e) => {
-      if (subscription) { subscription.event = e; }
+    this._onGroupKey(this.gun.user(pub).get(`chats`).get(theirSecretUuid), pub, key, async data => {
       if (!this.hasWritePermission(pub)) { return; }
-      const decrypted = await Gun.SEA.decrypt(data, (await this.getTheirGroupSecret(pub)));
+      const decrypted = await this._decryptGroupData(data, pub);
       if (decrypted) {
         callback(typeof decrypted.v !== `undefined` ? decrypted.v : decrypted, key, pub);
       }
-    });
+    }, subscription && subscription.events);
   }
 
   async onTheirGroup(key, callback, from) {
@@ -766,7 +1256,7 @@ class Channel {
     if (!this.groupSubscriptions.hasOwnProperty(key)) {
       this.groupSubscriptions[key] = [];
     }
-    const subscription = {key, callback, from};
+    const subscription = {key, callback, from, events: []};
     this.groupSubscriptions[key].push(subscription);
 
     this.getParticipants(participants => {
@@ -1001,11 +1491,12 @@ class Channel {
       });
     });
 
-    this.getMessages((msg, info) => {
-      const msgContent = util.createElement('div', 'iris-msg-content');
-      msgContent.innerText = msg.text;
+    const shown = {}; // message elements by time and author
+    const showMessage = (msg, info) => {
+      const msgContent = util.createElement('div', `iris-msg-content${msg.deleted ? ' iris-deleted' : ''}`);
+      msgContent.innerText = msg.deleted ? 'Message deleted' : msg.text;
       const time = util.createElement('div', 'time', msgContent);
-      time.innerText = util.formatTime(new Date(msg.time));
+      time.innerText = util.formatTime(new Date(msg.time)) + (msg.edited && !msg.deleted ? ' (edited)' : '');
       if (info.selfAuthored) {
         const cls = this.theirMsgsLastSeenTime >= msg.time ? 'iris-seen yes' : 'iris-seen';
         const seenIndicator = util.createElement('span', cls, time);
@@ -1013,7 +1504,13 @@ class Channel {
       }
       msgContent.innerHTML = msgContent.innerHTML.replace(/\n/g, '<br>\n');
 
+      const existing = shown[`${msg.time}:${info.from}`];
+      if (existing) { // edited or deleted
+        existing.replaceChild(msgContent, existing.firstChild);
+        return false;
+      }
       const msgEl = util.createElement('div', `${info.selfAuthored ? 'our' : 'their'} iris-chat-message`);
+      shown[`${msg.time}:${info.from}`] = msgEl;
       msgEl.appendChild(msgContent);
       msgEl.setAttribute('data-time', msg.time);
       for (let i = messages.children.length; i >= 0; i--) {
@@ -1027,7 +1524,38 @@ class Channel {
           }
         }
       }
+      return true;
+    };
+
+    // Load the latest messages first and older ones when scrolled to the top
+    let oldest, loadingOlder, hasOlder = true;
+    const loadOlder = async () => {
+      if (loadingOlder || !hasOlder) { return; }
+      loadingOlder = true;
+      const page = await this.getMessages({limit: CHAT_BOX_PAGE_SIZE, before: oldest});
+      const scrollBottom = messages.scrollHeight - messages.scrollTop;
+      page.forEach(m => showMessage(m.message, m.info));
+      messages.scrollTop = messages.scrollHeight - scrollBottom;
+      if (page.length) {
+        oldest = page[0].message.time;
+      }
+      hasOlder = page.length === CHAT_BOX_PAGE_SIZE;
+      loadingOlder = false;
+    };
+    messages.addEventListener('scroll', () => {
+      if (messages.scrollTop === 0) {
+        loadOlder();
+      }
+    });
+    loadOlder().then(() => {
       messages.scrollTop = messages.scrollHeight;
+      // subscribe from the first page on, so that edits of the shown messages are updated too
+      const after = oldest && new Date(Date.parse(oldest) - 1);
+      this.getMessages({after, callback: (msg, info) => {
+        if (showMessage(msg, info)) {
+          messages.scrollTop = messages.scrollHeight;
+        }
+      }});
     });
 
     textArea.addEventListener('keyup', event => {
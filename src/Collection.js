@@ -1,5 +1,9 @@
 import Gun from 'gun'; // eslint-disable-line no-unused-vars
 // eslint-disable-line no-unused-vars
+import util from './util';
+
+const RETRACTION_WAIT = 1000; // ms to wait for the retractions of a collection to start arriving
+const RETRACTION_SETTLE = 100; // ms to wait for more retractions before returning objects
 
 /**
 * Gun object collection that provides tools for indexing and search. Decentralize everything!
@@ -9,6 +13,11 @@ import Gun from 'gun'; // eslint-disable-line no-unused-vars
 * Supports search from multiple indexes.
 * For example, retrieve message feed from your own index and your friends' indexes.
 *
+* Retractions: if an object put to the collection is a retraction (object.isRetraction() returns true, like SignedMessage retractions),
+* it is stored next to the object it retracts, which is then no longer returned by get().
+*
+* Expiry: objects whose isExpired() returns true, like SignedMessages past their signedData.expires, are not returned by get().
+*
 * TODO: aggregation
 * TODO: example
 * TODO: scrollable and stretchable "search result window"
@@ -35,7 +44,7 @@ class Collection {
   }
 
   /**
-  * @return {String} id of added object, which can be used for collection.get(id)
+  * @return {String} id of added object, which can be used for collection.get(id). A promise of the id if object.getId() is async.
   */
   put(object, opt = {}) {
     let data = object;
@@ -44,12 +53,23 @@ class Collection {
     } if (this.class) {
       data = object.serialize();
     }
+    if (typeof object.isRetraction === `function` && object.isRetraction()) {
+      return this._putRetraction(object, data);
+    }
     // TODO: optionally use gun hash table
     let node;
     if (opt.id || data.id) {
       node = this.gun.get(this.name).get(`id`).get(opt.id || data.id).put(data); // TODO: use .top()
     } else if (object.getId) {
-      node = this.gun.get(this.name).get(`id`).get(object.getId()).put(data);
+      const id = object.getId();
+      if (id && typeof id.then === `function`) {
+        return id.then(resolvedId => {
+          node = this.gun.get(this.name).get(`id`).get(resolvedId).put(data);
+          this._addToIndexes(data, node);
+          return resolvedId;
+        });
+      }
+      node = this.gun.get(this.name).get(`id`).get(id).put(data);
     } else {
       node = this.gun.get(this.name).get(`id`).set(data);
     }
@@ -57,6 +77,59 @@ class Collection {
     return data.id || Gun.node.soul(node) || node._.link;
   }
 
+  /**
+  * Retractions are stored by the retracted object's id and the retraction signer, so that get() can find the retraction signed by the object's own signer
+  */
+  _putRetraction(retraction, data) {
+    const retractedId = retraction.signedData.retracts;
+    this.gun.get(this.name).get(`retractions`).get(retractedId).get(retraction.pubKey).put(JSON.stringify(data));
+    return retractedId;
+  }
+
+  /**
+  * Subscribe to all retractions of the collection at once, so that objects don't each wait for their own lookup
+  * @returns {Promise} resolved when the retractions have been loaded
+  */
+  _loadRetractions() {
+    if (!this.retractionsLoaded) {
+      this.retractions = {}; // retracted object id -> retraction signer public key -> serialized retraction
+      const node = this.gun.get(this.name).get(`retractions`);
+      this.retractionsLoaded = util.gunMapSettled(node, (data, id) => {
+        this.retractions[id] = Object.assign(this.retractions[id] || {}, data); // updates keep arriving
+      }, {wait: RETRACTION_WAIT, settle: RETRACTION_SETTLE});
+    }
+    return this.retractionsLoaded;
+  }
+
+  async _isRetracted(object) {
+    if (typeof object.getId !== `function` || !object.pubKey) {
+      return false;
+    }
+    const id = await object.getId();
+    await this._loadRetractions();
+    const str = this.retractions[id] && this.retractions[id][object.pubKey];
+    if (typeof str !== `string`) {
+      return false;
+    }
+    try {
+      const data = JSON.parse(str);
+      const retraction = await (this.serializer ? this.serializer.deserialize(data) : this.class.deserialize(data));
+      if (!retraction || typeof retraction.retracts !== `function` || retraction.pubKey !== object.pubKey) {
+        return false; // anyone can write to the retractions node: only the object's signer can retract it
+      }
+      if (typeof retraction.verify === `function` && !(await retraction.verify())) {
+        return false;
+      }
+      return !!(await retraction.retracts(object));
+    } catch (e) {
+      return false; // invalid retraction
+    }
+  }
+
+  _isExpired(object) {
+    return !!object && typeof object.isExpired === `function` && object.isExpired();
+  }
+
   async _addToIndexes(serializedObject, node) {
     if (Gun.node.is(serializedObject)) {
       serializedObject = await serializedObject.open();
@@ -126,12 +199,21 @@ class Collection {
           if (v1.indexOf(v2) !== 0) { return; }
         }
       }
+      let object = data;
       if (this.serializer) {
-        opt.callback(this.serializer.deserialize(data, {id, gun: node.$}));
+        object = this.serializer.deserialize(data, {id, gun: node.$});
       } else if (this.class) {
-        opt.callback(this.class.deserialize(data, {id, gun: node.$}));
-      } else {
-        opt.callback(data);
+        object = this.class.deserialize(data, {id, gun: node.$});
+      }
+      if (object && (typeof object.then === `function` || typeof object.getId === `function`)) {
+        // async deserializers and objects that may be retracted
+        Promise.resolve(object).then(async o => {
+          if (!this._isExpired(o) && !(await this._isRetracted(o))) {
+            opt.callback(o);
+          }
+        }).catch(() => {}); // invalid data
+      } else if (!this._isExpired(object)) {
+        opt.callback(object);
       }
     };
 
@@ -38,13 +38,19 @@ class Contact {
     return new Contact(gun, uri, index);
   }
 
+  /**
+  * Pick the attribute that a Contact is linked to: its keyID, or another unique attribute if there's no keyID.
+  * If the keyID has been replaced by keyRotation messages, the newest key in the rotation chain is used.
+  * @param {Object} attrs Contact attributes: {uri: {type, value, verifications, unverifications, rotatedTo}}
+  * @returns {Object} attribute
+  */
   static getLinkTo(attrs) {
     const mva = Contact.getMostVerifiedAttributes(attrs);
     const keys = Object.keys(mva);
     let linkTo;
     for (let i = 0;i < keys.length;i++) {
       if (keys[i] === `keyID`) {
-        linkTo = mva[keys[i]].attribute;
+        linkTo = Contact._followKeyRotations(attrs, mva[keys[i]].attribute);
         break;
       } else if (Attribute.isUniqueType(keys[i])) {
         linkTo = mva[keys[i]].attribute;
@@ -53,6 +59,21 @@ class Contact {
     return linkTo;
   }
 
+  static _followKeyRotations(attrs, keyAttr) {
+    const keyAttrs = {};
+    Object.keys(attrs).forEach(k => {
+      if (attrs[k].type === `keyID`) {
+        keyAttrs[attrs[k].value] = attrs[k];
+      }
+    });
+    const seen = {};
+    while (keyAttr.rotatedTo && keyAttrs[keyAttr.rotatedTo] && !seen[keyAttr.value]) {
+      seen[keyAttr.value] = true;
+      keyAttr = keyAttrs[keyAttr.rotatedTo];
+    }
+    return keyAttr;
+  }
+
   static getMostVerifiedAttributes(attrs) {
     const mostVerifiedAttributes = {};
     Object.keys(attrs).forEach(k => {
@@ -91,7 +112,7 @@ class Contact {
   * @param {Object} options
   */
   sent(index, options) {
-    index._getSentMsgs(this, options);
+    return index._getSentMsgs(this, options);
   }
 
   /**
@@ -100,7 +121,7 @@ class Contact {
   * @param {Object} options
   */
   received(index, options) {
-    index._getReceivedMsgs(this, options);
+    return index._getReceivedMsgs(this, options);
   }
 
   /**
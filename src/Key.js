@@ -3,78 +3,403 @@
 import util from './util';
 import Gun from 'gun'; // eslint-disable-line no-unused-vars
 import 'gun/sea';
+import MNEMONIC_WORDS from './mnemonicWords';
+import SignedMessage from './SignedMessage';
 // eslint-disable-line no-unused-vars
 
 let myKey;
+const activeKeyChangeCallbacks = [];
+
+const QR_STRING_VERSION = 1;
+const BACKUP_TYPE = `iris-key-backup`;
+const KEY_ID_INDEX = `#keyIDs`; // gun's content addressing: keys must be the hashes of values
+
+// DER encoding of a PKCS #8 P-256 private key without the optional public key. The 32 private key bytes follow.
+const PKCS8_P256_PREFIX = `308141020100301306072a8648ce3d020106082a8648ce3d030107042730250201010420`;
+
+function base64UrlToBytes(str) {
+  return Array.from(Buffer.from(str.replace(/-/g, `+`).replace(/_/g, `/`), `base64`));
+}
+
+function bytesToBase64Url(bytes) {
+  return Buffer.from(bytes).toString(`base64`).replace(/\+/g, `-`).replace(/\//g, `_`).replace(/=+$/, ``);
+}
+
+/**
+* Derive the public key of a P-256 private key with the platform's crypto: OpenSSL on node.js, WebCrypto in browser.
+* WebCrypto can't derive public keys directly, but it fills them in when a private key is imported without one.
+* @param {string} priv base64url private key scalar
+* @returns {Promise<string>} Gun.SEA format public key x.y
+*/
+async function getPublicKey(priv) {
+  const d = base64UrlToBytes(priv);
+  if (d.length !== 32) {
+    throw new Error(`Invalid private key`);
+  }
+  if (util.isNode) {
+    const ecdh = require(`crypto`).createECDH(`prime256v1`);
+    ecdh.setPrivateKey(Buffer.from(d)); // throws if the key is out of range
+    const pub = Array.from(ecdh.getPublicKey()); // 0x04, x, y
+    return `${bytesToBase64Url(pub.slice(1, 33))}.${bytesToBase64Url(pub.slice(33, 65))}`;
+  }
+  const subtle = window.crypto.subtle;
+  const pkcs8 = Buffer.concat([Buffer.from(PKCS8_P256_PREFIX, `hex`), Buffer.from(d)]);
+  const cryptoKey = await subtle.importKey(`pkcs8`, pkcs8, {name: `ECDH`, namedCurve: `P-256`}, true, [`deriveBits`]);
+  const jwk = await subtle.exportKey(`jwk`, cryptoKey);
+  return `${jwk.x}.${jwk.y}`;
+}
+
+function privateKeyBytes(key) {
+  const bytes = base64UrlToBytes(key.priv).concat(base64UrlToBytes(key.epriv));
+  if (bytes.length !== 64) {
+    throw new Error(`Invalid keypair`);
+  }
+  return bytes;
+}
+
+async function keyFromPrivateKeyBytes(bytes) {
+  const priv = bytesToBase64Url(bytes.slice(0, 32));
+  const epriv = bytesToBase64Url(bytes.slice(32, 64));
+  return {pub: await getPublicKey(priv), priv, epub: await getPublicKey(epriv), epriv};
+}
+
+async function checksum(key, length) {
+  const hex = await util.getHash(`${key.pub}${key.epub}`, `hex`);
+  const bytes = [];
+  for (let i = 0;i < length;i++) {
+    bytes.push(parseInt(hex.substr(i * 2, 2), 16));
+  }
+  return bytes;
+}
 
 /**
 * Key management utils. Wraps GUN's Gun.SEA. https://gun.eco/docs/Gun.SEA
+*
+* #### Keyring
+* You can keep several named keys, for example a personal and a work identity, with `Key.addKey()`, `Key.listKeys()`,
+* `Key.removeKey()` and `Key.switchKey()`. The keyring is stored in datadir/iris.keyring on node.js
+* or in local storage 'iris.keyring' in browser. Switching copies the selected key to the active key storage
+* (iris.key or 'iris.myKey'), so that `getActiveKey()` returns it. Use `Key.onActiveKeyChange()` to get notified.
+* @example
+* await iris.Key.addKey('work', await iris.Key.generate());
+* iris.Key.onActiveKeyChange(key => console.log('now using', key.pub));
+* await iris.Key.switchKey('work');
 */
 class Key {
   /**
   * Load private key from datadir/iris.key on node.js or from local storage 'iris.myKey' in browser.
   *
-  * If the key does not exist, it is generated.
+  * If the key does not exist, it is generated. If the stored key is encrypted, passphrase is needed to load it.
+  * Loading fails with an error if the passphrase is missing or wrong: a new key is never generated in place of a stored one.
   * @param {string} datadir directory to find key from. In browser, localStorage is used instead.
   * @param {string} keyfile keyfile name (within datadir)
   * @param {Object} fs node: require('fs'); browser: leave empty.
+  * @param {string|Function} passphrase (optional) passphrase, or a function that returns (a promise of) it, e.g. a prompt. Called only if the passphrase is needed. If a new key is generated, it is stored encrypted with this passphrase.
   * @returns {Promise<Object>} keypair object
   */
-  static async getActiveKey(datadir = `.`, keyfile = `iris.key`, fs) {
+  static async getActiveKey(datadir = `.`, keyfile = `iris.key`, fs, passphrase) {
     if (myKey) {
       return myKey;
     }
-    if (fs) {
-      const privKeyFile = `${datadir}/${keyfile}`;
-      if (fs.existsSync(privKeyFile)) {
-        const f = fs.readFileSync(privKeyFile, `utf8`);
-        myKey = Key.fromString(f);
-      } else {
-        const newKey = await Key.generate();
-        myKey = myKey || newKey; // eslint-disable-line require-atomic-updates
-        fs.writeFileSync(privKeyFile, Key.toString(myKey));
-        fs.chmodSync(privKeyFile, 400);
-      }
-      if (!myKey) {
-        throw new Error(`loading default key failed - check ${datadir}/${keyfile}`);
-      }
+    const str = Key._readStored(datadir, keyfile, fs);
+    if (str) {
+      const key = await Key._parseStored(str, passphrase);
+      myKey = myKey || key; // eslint-disable-line require-atomic-updates
     } else {
-      const str = window.localStorage.getItem(`iris.myKey`);
-      if (str) {
-        myKey = Key.fromString(str);
-      } else {
-        const newKey = await Key.generate();
-        myKey = myKey || newKey; // eslint-disable-line require-atomic-updates
-        window.localStorage.setItem(`iris.myKey`, Key.toString(myKey));
-      }
+      const newKey = await Key.generate();
       if (!myKey) {
-        throw new Error(`loading default key failed - check localStorage iris.myKey`);
+        myKey = newKey; // eslint-disable-line require-atomic-updates
+        await Key._writeStored(myKey, datadir, keyfile, fs, passphrase);
       }
     }
+    if (!myKey) {
+      throw new Error(`loading default key failed - check ${fs ? `${datadir}/${keyfile}` : `localStorage iris.myKey`}`);
+    }
     return myKey;
   }
 
-  static getDefault(datadir = `.`, keyfile = `iris.key`) {
-    return Key.getActiveKey(datadir, keyfile);
+  static getDefault(datadir = `.`, keyfile = `iris.key`, fs, passphrase) {
+    return Key.getActiveKey(datadir, keyfile, fs, passphrase);
   }
 
-  static async getActivePub(datadir = `.`, keyfile = `iris.key`) {
-    const key = await Key.getActiveKey(datadir, keyfile);
+  static async getActivePub(datadir = `.`, keyfile = `iris.key`, fs, passphrase) {
+    const key = await Key.getActiveKey(datadir, keyfile, fs, passphrase);
     return key.pub;
   }
 
   /**
-  *
+  * Set the active key and optionally save it
+  * @param {Object} key keypair
+  * @param {boolean} save whether to store the key
+  * @param {string} datadir directory to save the key in. In browser, localStorage is used instead.
+  * @param {string} keyfile keyfile name (within datadir)
+  * @param {Object} fs node: require('fs'); browser: leave empty.
+  * @param {string|Function} passphrase (optional) passphrase to encrypt the stored key with
+  * @returns {Promise} resolved when the key is saved
   */
-  static setActiveKey(key, save = true, datadir = `.`, keyfile = `iris.key`, fs) {
-    myKey = key;
+  static async setActiveKey(key, save = true, datadir = `.`, keyfile = `iris.key`, fs, passphrase) {
+    Key._changeActiveKey(key);
     if (!save) return;
-    if (util.isNode) {
+    await Key._writeStored(key, datadir, keyfile, fs, passphrase);
+    const keyring = Key._readKeyring(datadir, fs);
+    if (keyring.active && keyring.keys[keyring.active].pub !== key.pub) {
+      delete keyring.active; // the new active key is not from the keyring
+      Key._writeKeyring(keyring, datadir, fs);
+    }
+  }
+
+  /**
+  * Add a listener for active key changes caused by setActiveKey() or switchKey()
+  * @param {Function} callback called with the new active key
+  * @returns {Function} call to remove the listener
+  */
+  static onActiveKeyChange(callback) {
+    activeKeyChangeCallbacks.push(callback);
+    return () => {
+      const i = activeKeyChangeCallbacks.indexOf(callback);
+      if (i > -1) {
+        activeKeyChangeCallbacks.splice(i, 1);
+      }
+    };
+  }
+
+  static _changeActiveKey(key) {
+    const changed = !myKey || !key || myKey.pub !== key.pub;
+    myKey = key;
+    if (changed && key) {
+      activeKeyChangeCallbacks.slice().forEach(callback => callback(key));
+    }
+  }
+
+  /**
+  * Add a named key to the keyring. An existing key with the same name is replaced, unless it is the active one.
+  * @param {string} name key name
+  * @param {Object} key keypair
+  * @param {string} datadir directory of the keyring. In browser, localStorage is used instead.
+  * @param {Object} fs node: require('fs'); browser: leave empty.
+  * @param {string} passphrase (optional) passphrase to encrypt the key with
+  * @returns {Promise} resolved when the keyring is saved
+  */
+  static async addKey(name, key, datadir = `.`, fs, passphrase) {
+    if (!name || typeof name !== `string`) {
+      throw new Error(`Key name must be a non-empty string`);
+    }
+    if (!(key && key.pub && key.priv)) {
+      throw new Error(`Invalid keypair`);
+    }
+    const keyring = Key._readKeyring(datadir, fs);
+    if (keyring.active === name && keyring.keys[name] && keyring.keys[name].pub !== key.pub) {
+      throw new Error(`Cannot replace the active key ${name}`);
+    }
+    const str = passphrase ? await Key.toEncryptedString(key, passphrase) : Key.toString(key);
+    keyring.keys[name] = {pub: key.pub, key: str};
+    Key._writeKeyring(keyring, datadir, fs);
+  }
+
+  /**
+  * Remove a named key from the keyring. The active key can't be removed.
+  * @param {string} name key name
+  * @param {string} datadir directory of the keyring. In browser, localStorage is used instead.
+  * @param {Object} fs node: require('fs'); browser: leave empty.
+  */
+  static removeKey(name, datadir = `.`, fs) {
+    const keyring = Key._readKeyring(datadir, fs);
+    if (!keyring.keys[name]) {
+      throw new Error(`No such key: ${name}`);
+    }
+    if (keyring.active === name) {
+      throw new Error(`Cannot remove the active key ${name}. Switch to another key first.`);
+    }
+    delete keyring.keys[name];
+    Key._writeKeyring(keyring, datadir, fs);
+  }
+
+  /**
+  * List the keys in the keyring
+  * @param {string} datadir directory of the keyring. In browser, localStorage is used instead.
+  * @param {Object} fs node: require('fs'); browser: leave empty.
+  * @returns {Object[]} [{name, pub, active, encrypted}, ...]
+  */
+  static listKeys(datadir = `.`, fs) {
+    const keyring = Key._readKeyring(datadir, fs);
+    return Object.keys(keyring.keys).map(name => ({
+      name,
+      pub: keyring.keys[name].pub,
+      active: keyring.active === name,
+      encrypted: Key.isEncryptedString(keyring.keys[name].key)
+    }));
+  }
+
+  /**
+  * @param {string} datadir directory of the keyring. In browser, localStorage is used instead.
+  * @param {Object} fs node: require('fs'); browser: leave empty.
+  * @returns {string} name of the active key, or undefined if the active key is not in the keyring
+  */
+  static getActiveKeyName(datadir = `.`, fs) {
+    return Key._readKeyring(datadir, fs).active;
+  }
+
+  /**
+  * Make a named key from the keyring the active key
+  * @param {string} name key name
+  * @param {string} datadir directory of the keyring and the active key. In browser, localStorage is used instead.
+  * @param {string} keyfile active keyfile name (within datadir)
+  * @param {Object} fs node: require('fs'); browser: leave empty.
+  * @param {string|Function} passphrase (optional) passphrase of the key, or a function that returns it
+  * @returns {Promise<Object>} the new active keypair
+  */
+  static async switchKey(name, datadir = `.`, keyfile = `iris.key`, fs, passphrase) {
+    const keyring = Key._readKeyring(datadir, fs);
+    const entry = keyring.keys[name];
+    if (!entry) {
+      throw new Error(`No such key: ${name}`);
+    }
+    const key = await Key._parseStored(entry.key, passphrase);
+    Key._writeStoredString(entry.key, datadir, keyfile, fs);
+    keyring.active = name;
+    Key._writeKeyring(keyring, datadir, fs);
+    Key._changeActiveKey(key);
+    return key;
+  }
+
+  static _readKeyring(datadir, fs) {
+    let str;
+    if (fs) {
+      const file = `${datadir}/iris.keyring`;
+      str = fs.existsSync(file) ? fs.readFileSync(file, `utf8`) : null;
+    } else {
+      str = window.localStorage.getItem(`iris.keyring`);
+    }
+    const keyring = str ? JSON.parse(str) : {};
+    keyring.keys = keyring.keys || {};
+    return keyring;
+  }
+
+  static _writeKeyring(keyring, datadir, fs) {
+    const str = JSON.stringify(keyring);
+    if (fs) {
+      const file = `${datadir}/iris.keyring`;
+      fs.writeFileSync(file, str);
+      fs.chmodSync(file, 0o600);
+    } else {
+      window.localStorage.setItem(`iris.keyring`, str);
+    }
+  }
+
+  /**
+  * Change the passphrase of the stored key. The key is stored unencrypted if newPassphrase is empty.
+  * @param {string} oldPassphrase current passphrase. Can be empty if the stored key is not encrypted.
+  * @param {string} newPassphrase new passphrase
+  * @param {string} datadir directory to find key from. In browser, localStorage is used instead.
+  * @param {string} keyfile keyfile name (within datadir)
+  * @param {Object} fs node: require('fs'); browser: leave empty.
+  * @returns {Promise<Object>} keypair object
+  */
+  static async changePassphrase(oldPassphrase, newPassphrase, datadir = `.`, keyfile = `iris.key`, fs) {
+    const str = Key._readStored(datadir, keyfile, fs);
+    if (!str) {
+      throw new Error(`No stored key found`);
+    }
+    const key = await Key._parseStored(str, oldPassphrase);
+    await Key._writeStored(key, datadir, keyfile, fs, newPassphrase);
+    return key;
+  }
+
+  /**
+  * @param {string} datadir directory to find key from. In browser, localStorage is used instead.
+  * @param {string} keyfile keyfile name (within datadir)
+  * @param {Object} fs node: require('fs'); browser: leave empty.
+  * @returns {boolean} true if the stored key is encrypted with a passphrase
+  */
+  static isStoredKeyEncrypted(datadir = `.`, keyfile = `iris.key`, fs) {
+    const str = Key._readStored(datadir, keyfile, fs);
+    return !!str && Key.isEncryptedString(str);
+  }
+
+  static _readStored(datadir, keyfile, fs) {
+    if (fs) {
       const privKeyFile = `${datadir}/${keyfile}`;
-      fs.writeFileSync(privKeyFile, Key.toString(myKey));
-      fs.chmodSync(privKeyFile, 400);
+      return fs.existsSync(privKeyFile) ? fs.readFileSync(privKeyFile, `utf8`) : null;
+    }
+    return window.localStorage.getItem(`iris.myKey`);
+  }
+
+  static async _writeStored(key, datadir, keyfile, fs, passphrase) {
+    if (typeof passphrase === `function`) {
+      passphrase = await passphrase();
+    }
+    const str = passphrase ? await Key.toEncryptedString(key, passphrase) : Key.toString(key);
+    Key._writeStoredString(str, datadir, keyfile, fs);
+  }
+
+  static _writeStoredString(str, datadir, keyfile, fs) {
+    if (fs) {
+      const privKeyFile = `${datadir}/${keyfile}`;
+      if (fs.existsSync(privKeyFile)) {
+        fs.chmodSync(privKeyFile, 0o600);
+      }
+      fs.writeFileSync(privKeyFile, str);
+      fs.chmodSync(privKeyFile, 0o400);
     } else {
-      window.localStorage.setItem(`iris.myKey`, Key.toString(myKey));
+      window.localStorage.setItem(`iris.myKey`, str);
+    }
+  }
+
+  static async _parseStored(str, passphrase) {
+    if (!Key.isEncryptedString(str)) {
+      return Key.fromString(str);
+    }
+    if (typeof passphrase === `function`) {
+      passphrase = await passphrase();
+    }
+    if (!passphrase) {
+      throw new Error(`Stored key is encrypted: passphrase required`);
+    }
+    return Key.fromEncryptedString(str, passphrase);
+  }
+
+  /**
+  * Serialize key as a passphrase-encrypted JSON string. The encryption key is derived from the passphrase with PBKDF2 (Gun.SEA.work).
+  * @param {Object} key key to serialize
+  * @param {string} passphrase passphrase to encrypt with
+  * @returns {Promise<string>} encrypted key string
+  */
+  static async toEncryptedString(key, passphrase) {
+    const salt = Gun.SEA.random(24).toString(`base64`);
+    const secret = await Gun.SEA.work(passphrase, salt);
+    const encrypted = await Gun.SEA.encrypt(Key.toString(key), secret);
+    return JSON.stringify({encrypted, salt});
+  }
+
+  /**
+  * Get a keypair from a passphrase-encrypted JSON string
+  * @param {string} str encrypted key string
+  * @param {string} passphrase passphrase to decrypt with
+  * @returns {Promise<Object>} Gun.SEA keypair object
+  */
+  static async fromEncryptedString(str, passphrase) {
+    const {encrypted, salt} = JSON.parse(str);
+    const secret = await Gun.SEA.work(passphrase, salt);
+    let key = await Gun.SEA.decrypt(encrypted, secret);
+    if (typeof key === `string`) {
+      key = Key.fromString(key);
+    }
+    if (!(key && key.pub && key.priv)) {
+      throw new Error(`Failed to decrypt key: wrong passphrase?`);
+    }
+    return key;
+  }
+
+  /**
+  * @param {string} str key string
+  * @returns {boolean} true if the string is a passphrase-encrypted key
+  */
+  static isEncryptedString(str) {
+    try {
+      const o = JSON.parse(str);
+      return !!(o && o.encrypted && o.salt);
+    } catch (e) {
+      return false;
     }
   }
 
@@ -88,16 +413,187 @@ class Key {
   }
 
   /**
-  * Get keyID
-  * @param {Object} key key to get an id for. Currently just returns the public key string.
-  * @returns {String} public key string
+  * Get keyID: base64 SHA-256 hash of the public key
+  *
+  * Breaking change: this used to be synchronous and return the full public key, which is now only accepted as a legacy keyID (see isLegacyId). Callers need to await the result.
+  * @param {Object} key key to get an id for
+  * @returns {Promise<String>} keyID
   */
-  static getId(key) {
+  static async getId(key) {
     if (!(key && key.pub)) {
       throw new Error(`missing param`);
     }
-    return key.pub; // hack until GUN supports lookups by keyID
-    //return util.getHash(key.pub);
+    return util.getHash(key.pub);
+  }
+
+  /**
+  * Messages signed before keyIDs were hashed used the full public key as keyID
+  * @param {String} keyID
+  * @returns {boolean} true if keyID is a full public key instead of its hash
+  */
+  static isLegacyId(keyID) {
+    return typeof keyID === `string` && keyID.indexOf(`.`) > -1;
+  }
+
+  /**
+  * Publish keyID -> public key mapping, so that others can look up your public key by keyID.
+  *
+  * The mapping is content addressed: gun peers only accept it if the keyID is the hash of the public key.
+  * @param {Object} gun gun instance
+  * @param {Object} key key whose public key is published
+  * @returns {Promise<String>} keyID
+  */
+  static async publishId(gun, key) {
+    const keyID = await Key.getId(key);
+    gun.get(KEY_ID_INDEX).get(keyID).put(key.pub);
+    return keyID;
+  }
+
+  /**
+  * Look up a public key by its keyID from the index that is written by publishId(). Legacy keyIDs are public keys already.
+  * @param {Object} gun gun instance
+  * @param {String} keyID keyID to look up
+  * @returns {Promise<String>} public key. Resolves when it is found.
+  */
+  static async getPubById(gun, keyID) {
+    if (Key.isLegacyId(keyID)) {
+      return keyID;
+    }
+    const pub = await util.gunOnceDefined(gun.get(KEY_ID_INDEX).get(keyID));
+    if ((await Key.getId({pub})) !== keyID) {
+      throw new Error(`Public key found for keyID ${keyID} doesn't match it`);
+    }
+    return pub;
+  }
+
+  /**
+  * Retire a key, e.g. when it has been compromised: generate a new keypair and a keyRotation message signed by both keys.
+  *
+  * Publish the message by adding it to your SocialNetwork. The indexes that receive it carry the ratings and verifications of the old key over to the new one.
+  * The new key is not saved or activated: use setActiveKey() or addKey() for that.
+  * @param {Object} oldPair Gun.SEA keypair to retire
+  * @returns {Promise<Object>} {key, message}: the new keypair and the keyRotation SignedMessage
+  */
+  static async rotate(oldPair) {
+    if (!(oldPair && oldPair.pub && oldPair.priv)) {
+      throw new Error(`missing param`);
+    }
+    const key = await Key.generate();
+    const message = await SignedMessage.createKeyRotation(oldPair, key);
+    return {key, message};
+  }
+
+  /**
+  * Check that the public keys of a keypair match its private keys
+  * @param {Object} key Gun.SEA keypair
+  * @returns {Promise<boolean>} true if pub and epub are derived from priv and epriv
+  */
+  static async isValidPair(key) {
+    try {
+      return (await getPublicKey(key.priv)) === key.pub && (await getPublicKey(key.epriv)) === key.epub;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+  * Encode the private keys as a word mnemonic that can be written down on paper. 64 words plus 2 checksum words.
+  *
+  * This is not a BIP39 mnemonic: each word encodes one byte with iris' own list of 256 words, so it can't be restored with BIP39 wallets.
+  * Words can be abbreviated to their first 4 letters.
+  * @param {Object} key Gun.SEA keypair
+  * @returns {Promise<string>} space-separated words
+  */
+  static async toMnemonic(key) {
+    const bytes = privateKeyBytes(key).concat(await checksum(key, 2));
+    return bytes.map(b => MNEMONIC_WORDS[b]).join(` `);
+  }
+
+  /**
+  * Restore a keypair from a word mnemonic created with toMnemonic()
+  * @param {string} mnemonic space-separated words
+  * @returns {Promise<Object>} Gun.SEA keypair object
+  */
+  static async fromMnemonic(mnemonic) {
+    const words = mnemonic.trim().toLowerCase().split(/\s+/);
+    if (words.length !== 66) {
+      throw new Error(`Mnemonic must have 66 words, got ${words.length}`);
+    }
+    const bytes = words.map(w => {
+      const i = MNEMONIC_WORDS.findIndex(word => word === w || (w.length >= 4 && word.indexOf(w) === 0));
+      if (i === -1) {
+        throw new Error(`Unknown mnemonic word: ${w}`);
+      }
+      return i;
+    });
+    return Key._fromPrivateKeyBytes(bytes.slice(0, 64), bytes.slice(64));
+  }
+
+  /**
+  * Encode the private keys as a compact base64url string, suitable for a QR code
+  * @param {Object} key Gun.SEA keypair
+  * @returns {Promise<string>} base64url string
+  */
+  static async toQrString(key) {
+    return bytesToBase64Url([QR_STRING_VERSION].concat(privateKeyBytes(key), await checksum(key, 4)));
+  }
+
+  /**
+  * Restore a keypair from a string created with toQrString()
+  * @param {string} str base64url string
+  * @returns {Promise<Object>} Gun.SEA keypair object
+  */
+  static async fromQrString(str) {
+    const bytes = base64UrlToBytes(str.trim());
+    if (bytes.length !== 69 || bytes[0] !== QR_STRING_VERSION) {
+      throw new Error(`Invalid key string`);
+    }
+    return Key._fromPrivateKeyBytes(bytes.slice(1, 65), bytes.slice(65));
+  }
+
+  static async _fromPrivateKeyBytes(bytes, expectedChecksum) {
+    const key = await keyFromPrivateKeyBytes(bytes);
+    const c = await checksum(key, expectedChecksum.length);
+    if (c.join() !== expectedChecksum.join()) {
+      throw new Error(`Checksum mismatch: the key is mistyped or corrupted`);
+    }
+    return key;
+  }
+
+  /**
+  * Create a passphrase-encrypted backup of a keypair, e.g. for saving as a file
+  * @param {Object} key Gun.SEA keypair
+  * @param {string} passphrase passphrase to encrypt the backup with
+  * @returns {Promise<string>} backup JSON string
+  */
+  static async toBackup(key, passphrase) {
+    if (!passphrase) {
+      throw new Error(`Passphrase required`);
+    }
+    return JSON.stringify({
+      type: BACKUP_TYPE,
+      version: 1,
+      pub: key.pub,
+      key: await Key.toEncryptedString(key, passphrase)
+    });
+  }
+
+  /**
+  * Restore a keypair from a backup created with toBackup()
+  * @param {string} str backup JSON string
+  * @param {string} passphrase passphrase of the backup
+  * @returns {Promise<Object>} Gun.SEA keypair object
+  */
+  static async fromBackup(str, passphrase) {
+    const backup = JSON.parse(str);
+    if (!backup || backup.type !== BACKUP_TYPE) {
+      throw new Error(`Not an iris key backup`);
+    }
+    const key = await Key.fromEncryptedString(backup.key, passphrase);
+    if (key.pub !== backup.pub || !(await Key.isValidPair(key))) {
+      throw new Error(`Invalid key in backup: public key does not match`);
+    }
+    return key;
   }
 
   /**
@@ -128,6 +624,23 @@ class Key {
     return `a${sig}`;
   }
 
+  /**
+  * Read the signed content of a signature without verifying it. Only use this for signatures that have been verified earlier.
+  * @param {String} sig signature string returned by sign()
+  * @returns {Object|String} signed content
+  */
+  static unpack(sig) {
+    const m = JSON.parse(sig.slice(4)).m; // strip "a" and "SEA" prefixes
+    if (typeof m === `string`) {
+      try {
+        return JSON.parse(m);
+      } catch (e) {
+        return m;
+      }
+    }
+    return m;
+  }
+
   /**
   * Verify a signed message
   * @param {String} msg message to verify
@@ -0,0 +1,263 @@
+import Gun from 'gun';
+import 'gun/sea';
+import util from './util';
+
+const PAYLOAD_PREFIX = `RATCHET`;
+const MAX_SKIP = 1000; // max number of message keys to derive ahead in one receiving chain
+const MAX_SKIPPED = 2000; // max number of skipped message keys kept in all receiving chains. The oldest are deleted first.
+
+/**
+* Forward secrecy for direct Channels: a double ratchet–style scheme where every message is encrypted with its own key.
+*
+* Both sides have an ephemeral SEA keypair, whose epub they publish in the channel. A sending chain starts from
+* Gun.SEA.secret() of our ephemeral key and their latest ephemeral epub, mixed with the static channel secret, and
+* each message key is derived from the chain with SHA-256, after which the chain key is replaced. When the other side
+* has published a new epub, our next message starts a new chain with a new ephemeral keypair of ours.
+* Our old keypairs are deleted once the other side has moved on to a newer one, and our receiving chains from their old epubs
+* once they have sent from a newer one, so a leaked key doesn't expose earlier messages.
+*
+* Messages that have been encrypted or decrypted are kept in a plaintext cache, so that you can still read the history.
+* If a storage (such as window.localStorage) is given, the ratchet state and the cache are saved there and loaded back after a reload.
+* The cache is saved under its own storage key (`${storageKey}.cache`), separately from the key material.
+* Otherwise they are kept in memory only, and messages of earlier sessions can't be decrypted again.
+*
+* Usually you don't use this directly: create a Channel with options.ratchet.
+* @param {Object} options
+* @param {Object} options.key your keypair
+* @param {string} options.theirEpub the other participant's static epub, used until they have published an ephemeral one
+* @param {string} options.secret static shared secret of the channel, Gun.SEA.secret(theirEpub, key)
+* @param {Function} options.onNewEpub (optional) called with our new ephemeral epub, which should be published to the other participant
+* @param {Object} options.storage (optional) object with getItem(key) and setItem(key, value), like localStorage
+* @param {string} options.storageKey (optional) key to save the state under. Default `iris.ratchet.${theirEpub}`.
+*/
+class Ratchet {
+  constructor(options) {
+    this.key = options.key;
+    this.theirStaticEpub = options.theirEpub;
+    this.secret = options.secret;
+    this.onNewEpub = options.onNewEpub || (() => {});
+    this.storage = options.storage;
+    this.storageKey = options.storageKey || `iris.ratchet.${options.theirEpub}`;
+    this.queue = Promise.resolve(); // state changes are done one at a time
+    this.ready = this._enqueue(() => this._init());
+  }
+
+  /**
+  * @param {*} data message data
+  * @returns {boolean} true if data is a message encrypted with a Ratchet
+  */
+  static isPayload(data: any) {
+    return typeof data === `string` && data.indexOf(PAYLOAD_PREFIX) === 0;
+  }
+
+  async _init() {
+    this.cache = this._load(`${this.storageKey}.cache`) || {}; // `${from}:${to}:${n}` -> message
+    const saved = this._load(this.storageKey);
+    if (saved) {
+      this.state = saved;
+      if (saved.cache) { // saved before the cache had its own storage key
+        Object.assign(this.cache, saved.cache);
+        delete saved.cache;
+        this._save();
+      }
+      return;
+    }
+    this.state = {
+      myPairs: [await Gun.SEA.pair()], // oldest first
+      theirEpubs: [], // their ephemeral epubs in the order we have seen them
+      staticChainsClosed: false, // true when they have sent to an ephemeral key of ours, after which chains to our static key are not accepted
+      sending: null, // {from, to, ck, n}
+      receiving: {} // `${from}:${to}` -> {ck, n, skipped: {n: message key}}
+    };
+    this._save();
+  }
+
+  _load(storageKey) {
+    const saved = this.storage && this.storage.getItem(storageKey);
+    if (saved) {
+      try {
+        return JSON.parse(saved);
+      } catch (e) {
+        // corrupted: start over
+      }
+    }
+  }
+
+  _enqueue(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  _save() {
+    if (this.storage) {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+      this.storage.setItem(`${this.storageKey}.cache`, JSON.stringify(this.cache));
+    }
+  }
+
+  /**
+  * @returns {Promise<string>} our current ephemeral epub, to be published to the other participant
+  */
+  async getEpub() {
+    await this.ready;
+    const pairs = this.state.myPairs;
+    return pairs[pairs.length - 1].epub;
+  }
+
+  /**
+  * Set the other participant's latest ephemeral epub. Our next message starts a new sending chain with it.
+  * Epubs that have been seen before are ignored, so that old ones don't replace newer ones.
+  * @param {string} epub
+  */
+  setTheirEpub(epub: string) {
+    return this._enqueue(() => this._setTheirEpub(epub));
+  }
+
+  _setTheirEpub(epub) {
+    if (typeof epub !== `string` || this.state.theirEpubs.indexOf(epub) > -1) {
+      return;
+    }
+    this.state.theirEpubs.push(epub);
+    this._save();
+  }
+
+  /**
+  * Chain root of messages from ephemeral epub `from` to ephemeral epub `to` (or to the static epub if to is null)
+  */
+  async _getChainRoot(from, to, myPair, otherEpub) {
+    const dh = await Gun.SEA.secret(otherEpub, myPair);
+    return util.getHash(`${this.secret}:${dh}:${from}:${to}`);
+  }
+
+  async _step(ck) {
+    return {mk: await util.getHash(`${ck}1`), ck: await util.getHash(`${ck}2`)};
+  }
+
+  /**
+  * Encrypt a message with the next key of the sending chain
+  * @param {Object} msg message
+  * @returns {Promise<string>} encrypted payload
+  */
+  encrypt(msg: Object) {
+    return this._enqueue(async () => {
+      const s = this.state;
+      const theirEpub = s.theirEpubs.length ? s.theirEpubs[s.theirEpubs.length - 1] : null;
+      if (!s.sending || s.sending.to !== theirEpub) {
+        if (s.sending) { // they have a new epub: new chain with a new keypair of ours
+          s.myPairs.push(await Gun.SEA.pair());
+          this.onNewEpub(s.myPairs[s.myPairs.length - 1].epub);
+        }
+        const myPair = s.myPairs[s.myPairs.length - 1];
+        const ck = await this._getChainRoot(myPair.epub, theirEpub, myPair, theirEpub || this.theirStaticEpub);
+        s.sending = {from: myPair.epub, to: theirEpub, ck, n: 0};
+      }
+      const header = {from: s.sending.from, to: s.sending.to, n: s.sending.n};
+      const {mk, ck} = await this._step(s.sending.ck);
+      s.sending.ck = ck;
+      s.sending.n++;
+      this.cache[`${header.from}:${header.to}:${header.n}`] = msg;
+      this._save();
+      const data = await Gun.SEA.encrypt(JSON.stringify(msg), mk);
+      return PAYLOAD_PREFIX + JSON.stringify({header, data});
+    });
+  }
+
+  /**
+  * Decrypt a message. Messages that have been encrypted or decrypted before are returned from the cache.
+  * @param {string} payload encrypted payload
+  * @returns {Promise<Object>} message, or undefined if it can't be decrypted
+  */
+  decrypt(payload: string) {
+    return this._enqueue(async () => {
+      let header, data;
+      try {
+        ({header, data} = JSON.parse(payload.slice(PAYLOAD_PREFIX.length)));
+      } catch (e) {
+        return undefined;
+      }
+      if (!header || typeof header !== `object`) {
+        return undefined;
+      }
+      const s = this.state;
+      const cacheKey = `${header.from}:${header.to}:${header.n}`;
+      if (this.cache[cacheKey]) {
+        return this.cache[cacheKey];
+      }
+      const pairIndex = header.to === null ? -1 : s.myPairs.findIndex(p => p.epub === header.to);
+      const myPair = pairIndex === -1 ? (header.to === null && this.key) : s.myPairs[pairIndex];
+      if (!myPair || (header.to === null && s.staticChainsClosed)) {
+        return undefined; // our keypair or the chain has been deleted
+      }
+      const chainId = `${header.from}:${header.to}`;
+      const chain = Object.assign({skipped: {}}, s.receiving[chainId]);
+      chain.skipped = Object.assign({}, chain.skipped);
+      if (chain.ck === undefined) {
+        chain.ck = await this._getChainRoot(header.from, header.to, myPair, header.from);
+        chain.n = 0;
+      }
+      let mk;
+      if (header.n < chain.n) {
+        mk = chain.skipped[header.n];
+      } else if (header.n - chain.n <= MAX_SKIP) {
+        while (chain.n < header.n) {
+          const step = await this._step(chain.ck);
+          chain.skipped[chain.n] = step.mk;
+          chain.ck = step.ck;
+          chain.n++;
+        }
+        const step = await this._step(chain.ck);
+        mk = step.mk;
+        chain.ck = step.ck;
+        chain.n++;
+      }
+      const msg = mk && (await Gun.SEA.decrypt(data, mk));
+      if (!msg || typeof msg !== `object`) {
+        return undefined;
+      }
+      delete chain.skipped[header.n];
+      s.receiving[chainId] = chain;
+      this.cache[cacheKey] = msg;
+      if (pairIndex > 0) { // they have moved on to a newer keypair of ours
+        s.myPairs = s.myPairs.slice(pairIndex);
+      }
+      if (header.to !== null) { // they have a newer epub for an ephemeral key of ours: older chains are not needed
+        s.staticChainsClosed = true;
+        this._deleteOldChains();
+      }
+      this._setTheirEpub(header.from);
+      this._deleteOldSkippedKeys();
+      this._save();
+      return msg;
+    });
+  }
+
+  /**
+  * Delete the receiving chains to our static key and deleted keypairs.
+  * They start a chain from a new epub only for a new keypair of ours, so these are from their older epubs.
+  */
+  _deleteOldChains() {
+    const s = this.state;
+    const myEpubs = s.myPairs.map(p => p.epub);
+    Object.keys(s.receiving).forEach(chainId => {
+      if (myEpubs.indexOf(chainId.split(`:`)[1]) === -1) {
+        delete s.receiving[chainId];
+      }
+    });
+  }
+
+  /**
+  * Keep at most MAX_SKIPPED skipped message keys, deleting the ones of the oldest chains and lowest message numbers first
+  */
+  _deleteOldSkippedKeys() {
+    const chains = Object.values(this.state.receiving);
+    let excess = chains.reduce((sum, chain) => sum + Object.keys(chain.skipped).length, 0) - MAX_SKIPPED;
+    for (let i = 0;i < chains.length && excess > 0;i++) {
+      const numbers = Object.keys(chains[i].skipped).map(Number).sort((a, b) => a - b);
+      numbers.slice(0, excess).forEach(n => delete chains[i].skipped[n]);
+      excess -= Math.min(numbers.length, excess);
+    }
+  }
+}
+
+export default Ratchet;
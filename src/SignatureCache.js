@@ -0,0 +1,100 @@
+/**
+* Cache of verified message signatures, so that a SignedMessage doesn't need to be verified again.
+*
+* Maps the hash of a message signature to the public key that the signature was verified with. Least recently used entries are dropped
+* when maxSize is exceeded. If a storage (such as window.localStorage) is given, the cache is saved there and
+* loaded back after a reload.
+*
+* Usually you set one with SignedMessage.setSignatureCache().
+* @param {Object} options
+* @param {number} options.maxSize (optional) maximum number of entries. Default 10000.
+* @param {Object} options.storage (optional) object with getItem(key) and setItem(key, value), like localStorage
+* @param {string} options.storageKey (optional) key to save the cache under. Default `iris.signatureCache`.
+* @example
+* iris.SignedMessage.setSignatureCache(new iris.SignatureCache({storage: window.localStorage}));
+*/
+class SignatureCache {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 10000;
+    this.storage = options.storage;
+    this.storageKey = options.storageKey || `iris.signatureCache`;
+    this.entries = new Map(); // Map iterates in insertion order: the first entry is the least recently used
+    if (this.storage) {
+      this._load();
+    }
+  }
+
+  /**
+  * @param {string} hash hash of the message signature
+  * @returns {string} public key that the message signature was verified with, or undefined
+  */
+  get(hash: string) {
+    const pubKey = this.entries.get(hash);
+    if (pubKey !== undefined) {
+      this.entries.delete(hash);
+      this.entries.set(hash, pubKey);
+    }
+    return pubKey;
+  }
+
+  /**
+  * @param {string} hash hash of the message signature
+  * @param {string} pubKey public key that the message signature was verified with
+  */
+  set(hash: string, pubKey: string) {
+    this.entries.delete(hash);
+    this.entries.set(hash, pubKey);
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this._scheduleSave();
+  }
+
+  /**
+  * @param {string} hash hash of the message signature
+  * @param {string} pubKey public key of the message signer
+  * @returns {boolean} true if the message signature has been verified with pubKey
+  */
+  has(hash: string, pubKey: string) {
+    return !!pubKey && this.get(hash) === pubKey;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  clear() {
+    this.entries.clear();
+    this._scheduleSave();
+  }
+
+  /**
+  * Write the cache to storage. This is done automatically a moment after changes.
+  */
+  save() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = undefined;
+    if (this.storage) {
+      this.storage.setItem(this.storageKey, JSON.stringify(Array.from(this.entries)));
+    }
+  }
+
+  _scheduleSave() {
+    if (this.storage && !this.saveTimeout) {
+      this.saveTimeout = setTimeout(() => this.save(), 1000);
+    }
+  }
+
+  _load() {
+    try {
+      const entries = JSON.parse(this.storage.getItem(this.storageKey));
+      if (Array.isArray(entries)) {
+        entries.slice(-this.maxSize).forEach(([hash, pubKey]) => this.entries.set(hash, pubKey));
+      }
+    } catch (e) {
+      this.entries.clear(); // corrupted cache is just discarded
+    }
+  }
+}
+
+export default SignatureCache;
@@ -6,6 +6,72 @@ import Key from './Key';
 
 const errorMsg = `Invalid  message:`;
 
+let signatureCache;
+
+const VERSION = 1; // messages without a version field are legacy messages
+
+const HASH_REGEX = /^[A-Za-z0-9+/]{43}=$/; // base64 sha256, see getHash()
+const REFERENCE_FIELDS = [`replyTo`, `quote`, `retracts`]; // fields that refer to another message by its hash
+
+const messageTypes = {};
+let rejectUnknownTypes = false;
+
+const SCHEMA_TYPES = {
+  string: v => typeof v === `string`,
+  number: v => typeof v === `number` && isFinite(v),
+  integer: v => typeof v === `number` && isFinite(v) && Math.floor(v) === v,
+  boolean: v => typeof v === `boolean`,
+  object: v => v !== null && typeof v === `object` && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  null: v => v === null
+};
+
+/**
+* Validate a value against a subset of JSON schema: type, enum, required, properties, additionalProperties,
+* items, minimum, maximum, minLength, maxLength, pattern, minItems and maxItems.
+*/
+function validateSchema(schema, value, path) {
+  const fail = msg => { throw new ValidationError(`${errorMsg} ${path} ${msg}`); };
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => SCHEMA_TYPES[t] && SCHEMA_TYPES[t](value))) {fail(`must be ${types.join(` or `)}`);}
+  }
+  if (schema.enum && schema.enum.indexOf(value) === -1) {fail(`must be one of ${schema.enum.join(`, `)}`);}
+  if (typeof value === `number`) {
+    if (schema.minimum !== undefined && value < schema.minimum) {fail(`must be at least ${schema.minimum}`);}
+    if (schema.maximum !== undefined && value > schema.maximum) {fail(`must be at most ${schema.maximum}`);}
+  }
+  if (typeof value === `string`) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {fail(`must be at least ${schema.minLength} characters`);}
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {fail(`must be at most ${schema.maxLength} characters`);}
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {fail(`must match ${schema.pattern}`);}
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {fail(`must have at least ${schema.minItems} items`);}
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {fail(`must have at most ${schema.maxItems} items`);}
+    if (schema.items) {
+      value.forEach((item, i) => validateSchema(schema.items, item, `${path}[${i}]`));
+    }
+  } else if (value !== null && typeof value === `object`) {
+    (schema.required || []).forEach(k => {
+      if (value[k] === undefined) {fail(`is missing ${k}`);}
+    });
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(k => {
+      if (properties[k]) {
+        validateSchema(properties[k], value[k], `${path}.${k}`);
+      } else if (schema.additionalProperties === false) {
+        fail(`must not have ${k}`);
+      }
+    });
+  }
+  return true;
+}
+
+function countAttributes(authorOrRecipient) {
+  return Object.keys(authorOrRecipient).reduce((sum, k) => sum + (Array.isArray(authorOrRecipient[k]) ? authorOrRecipient[k].length : 1), 0);
+}
+
 class ValidationError extends Error {}
 
 /**
@@ -13,13 +79,16 @@ class ValidationError extends Error {}
 *
 * Fields: signedData, signer (public key) and signature.
 *
-* signedData has an author, signer, type, time and optionally other fields.
+* signedData has an author, signer, type, time, version and optionally other fields.
 *
-* signature covers the utf8 string representation of signedData. Since messages are digitally signed, users only need to care about the message signer and not who relayed it or whose index it was found from.
+* signature covers the hash of the canonical JSON representation of signedData (sorted keys, no whitespace), so the message hash stays the same however signedData is re-serialized. Since messages are digitally signed, users only need to care about the message signer and not who relayed it or whose index it was found from.
 *
 * signer is the entity that verified its origin. In other words: message author and signer can be different entities, and only the signer needs to use Iris.
 *
 * For example, a crawler can import and sign other people's messages from Twitter. Only the users who trust the crawler will see the messages.
+* Use SignedMessage.bridge() to create such messages: they record the source url and original time in signedData.source.
+*
+* signedData.expires (optional) is the time until which the message is valid. Expired messages are not returned by Collection and SocialNetwork, and SocialNetwork.pruneExpired() removes them from the index.
 *
 * "Rating" type messages, when added to an SocialNetwork, can add or remove Identities from the web of trust. Verification/unverification messages can add or remove Attributes from an Contact. Other types of messages such as social media "post" are just indexed by their author, recipient and time.
 *
@@ -145,11 +214,13 @@ class SignedMessage {
 
 
   /**
-  * @returns {string} SignedMessage signer keyID, i.e. base64 hash of public key
+  * @returns {Promise<string>} SignedMessage signer keyID, i.e. base64 hash of public key
   */
-  getSignerKeyID() {
-    return this.pubKey; // hack until gun supports keyID lookups
-    //return util.getHash(this.pubKey);
+  async getSignerKeyID() {
+    if (this.pubKey && !this.signerKeyHash) {
+      this.signerKeyHash = await Key.getId({pub: this.pubKey});
+    }
+    return this.signerKeyHash;
   }
 
   _validate() {
@@ -157,14 +228,12 @@ class SignedMessage {
     if (typeof this.signedData !== `object`) {throw new ValidationError(`${errorMsg} signedData must be an object`);}
     const d = this.signedData;
 
+    if (d.version !== undefined && d.version !== VERSION) {throw new ValidationError(`${errorMsg} Unsupported version ${d.version}`);}
     if (!d.type) {throw new ValidationError(`${errorMsg} Missing type definition`);}
     if (!d.author) {throw new ValidationError(`${errorMsg} Missing author`);}
     if (typeof d.author !== `object`) {throw new ValidationError(`${errorMsg} Author must be object`);}
     if (Array.isArray(d.author)) {throw new ValidationError(`${errorMsg} Author must not be an array`);}
     if (Object.keys(d.author).length === 0) {throw new ValidationError(`${errorMsg} Author empty`);}
-    if (this.pubKey) {
-      this.signerKeyHash = this.getSignerKeyID();
-    }
     for (const attr in d.author) {
       const t = typeof d.author[attr];
       if (t !== `string`) {
@@ -181,7 +250,8 @@ class SignedMessage {
       }
       if (attr === `keyID`) {
         if (t !== `string`) {throw new ValidationError(`${errorMsg} Author keyID must be string, got ${t}`);}
-        if (this.signerKeyHash && d.author[attr] !== this.signerKeyHash) {throw new ValidationError(`${errorMsg} If message has a keyID author, it must be signed by the same key`);}
+        // signerKeyHash is not known in the constructor, so verify() and fromSig() validate again after getSignerKeyID(). Legacy messages used the full public key as keyID.
+        if (this.signerKeyHash && d.author[attr] !== this.signerKeyHash && d.author[attr] !== this.pubKey) {throw new ValidationError(`${errorMsg} If message has a keyID author, it must be signed by the same key`);}
       }
     }
     if (d.recipient) {
@@ -208,22 +278,145 @@ class SignedMessage {
 
     if (!Date.parse(d.time || d.timestamp)) {throw new ValidationError(`${errorMsg} Invalid time field`);}
 
-    if (d.type === `rating`) {
-      if (isNaN(d.rating)) {throw new ValidationError(`${errorMsg} Invalid rating`);}
-      if (isNaN(d.maxRating)) {throw new ValidationError(`${errorMsg} Invalid maxRating`);}
-      if (isNaN(d.minRating)) {throw new ValidationError(`${errorMsg} Invalid minRating`);}
-      if (d.rating > d.maxRating) {throw new ValidationError(`${errorMsg} Rating is above maxRating`);}
-      if (d.rating < d.minRating) {throw new ValidationError(`${errorMsg} Rating is below minRating`);}
-      if (typeof d.context !== `string` || !d.context.length) {throw new ValidationError(`${errorMsg} Rating messages must have a context field`);}
+    if (d.expires !== undefined) {
+      if (typeof d.expires !== `string` || !Date.parse(d.expires)) {throw new ValidationError(`${errorMsg} Invalid expires field`);}
+      if (Date.parse(d.expires) <= Date.parse(d.time || d.timestamp)) {throw new ValidationError(`${errorMsg} expires must be after time`);}
     }
 
-    if (d.type === `verification` || d.type === `unverification`) {
-      if (d.recipient.length < 2) {throw new ValidationError(`${errorMsg} At least 2 recipient attributes are needed for a connection / disconnection. Got: ${d.recipient}`);}
+    if (d.source !== undefined) {
+      if (!d.source || typeof d.source !== `object` || Array.isArray(d.source)) {throw new ValidationError(`${errorMsg} source must be an object`);}
+      if (!(typeof d.source.url === `string` && d.source.url.length)) {throw new ValidationError(`${errorMsg} source.url must be a non-empty string`);}
+      if (d.source.time !== undefined && !Date.parse(d.source.time)) {throw new ValidationError(`${errorMsg} Invalid source.time`);}
+      if (d.author.keyID !== undefined) {throw new ValidationError(`${errorMsg} Bridged message author must not have a keyID`);}
+    }
+
+    REFERENCE_FIELDS.forEach(field => {
+      if (d[field] !== undefined && !(typeof d[field] === `string` && HASH_REGEX.test(d[field]))) {
+        throw new ValidationError(`${errorMsg} ${field} must be a message hash, got ${JSON.stringify(d[field])}`);
+      }
+    });
+
+    const messageType = messageTypes[d.type];
+    if (messageType) {
+      if (messageType.schema) {
+        validateSchema(messageType.schema, d, d.type);
+      }
+      if (messageType.validate) {
+        let valid;
+        try {
+          valid = messageType.validate(d);
+        } catch (e) {
+          throw e instanceof ValidationError ? e : new ValidationError(`${errorMsg} ${e.message}`);
+        }
+        if (valid === false) {throw new ValidationError(`${errorMsg} Invalid ${d.type} message`);}
+      }
+    } else if (rejectUnknownTypes) {
+      throw new ValidationError(`${errorMsg} Unknown message type ${d.type}`);
     }
 
     return true;
   }
 
+  /**
+  * The new key signs the rotation too, so that nobody can claim someone else's key as their successor
+  * @returns {Promise<boolean>} true if newKeySig is valid. Otherwise throws ValidationError.
+  */
+  async _verifyKeyRotation() {
+    const d = this.signedData;
+    const newKeyID = await Key.getId({pub: d.newPubKey});
+    if (newKeyID !== d.recipient.keyID && d.newPubKey !== d.recipient.keyID) {
+      throw new ValidationError(`${errorMsg} Key rotation newPubKey doesn't match recipient keyID`);
+    }
+    const signed = await Key.verify(d.newKeySig, d.newPubKey);
+    if (!signed || signed.type !== `keyRotation` || signed.oldKeyID !== d.author.keyID || signed.newKeyID !== d.recipient.keyID || signed.time !== d.time) {
+      throw new ValidationError(`${errorMsg} Invalid newKeySig`);
+    }
+    return true;
+  }
+
+  /**
+  * @returns {boolean} true if message is a key rotation
+  */
+  isKeyRotation() {
+    return this.signedData.type === `keyRotation`;
+  }
+
+  /**
+  * @returns {Object} {oldKeyID, newKeyID} of a keyRotation message, or undefined for other message types
+  */
+  getKeyRotation() {
+    if (!this.isKeyRotation()) {
+      return undefined;
+    }
+    return {oldKeyID: this.signedData.author.keyID, newKeyID: this.signedData.recipient.keyID};
+  }
+
+  /**
+  * @returns {boolean} true if message is a retraction of another message
+  */
+  isRetraction() {
+    return this.signedData.type === `retraction`;
+  }
+
+  /**
+  * A retraction is only valid when it is signed by the signer of the retracted message
+  * @param {SignedMessage} msg message that may be retracted
+  * @returns {Promise<boolean>} true if this message retracts msg
+  */
+  async retracts(msg: SignedMessage) {
+    return this.isRetraction() && !!this.pubKey && this.pubKey === msg.pubKey && this.signedData.retracts === (await msg.getHash());
+  }
+
+  /**
+  * @returns {boolean} true if message is a reply to another message (has signedData.replyTo)
+  */
+  isReply() {
+    return !!this.signedData.replyTo;
+  }
+
+  /**
+  * @returns {boolean} true if message quotes another message (has signedData.quote)
+  */
+  isQuote() {
+    return !!this.signedData.quote;
+  }
+
+  /**
+  * @returns {boolean} true if message is a repost: it quotes another message without adding text of its own
+  */
+  isRepost() {
+    return this.isQuote() && !this.signedData.text;
+  }
+
+  /**
+  * signedData.source is optional, so it doesn't tell whether a message is bridged: a message is bridged if its author is not the signer's key.
+  * @returns {boolean} true if message was authored by someone else than its signer, e.g. bridged from another service with SignedMessage.bridge(). The signer is known after sign(), verify() or fromSig().
+  */
+  isBridged() {
+    return !!this.pubKey && !this._isSignerAuthor();
+  }
+
+  /**
+  * @returns {Promise<boolean>} true if the message author is the signer's keyID (or, in legacy messages, the signer's public key)
+  */
+  async isSelfAuthored() {
+    await this.getSignerKeyID();
+    return !!this.pubKey && this._isSignerAuthor();
+  }
+
+  _isSignerAuthor() {
+    const keyID = this.signedData.author.keyID;
+    return !!keyID && (keyID === this.signerKeyHash || keyID === this.pubKey);
+  }
+
+  /**
+  * @param {Date} now (optional) time to compare to. Defaults to the current time.
+  * @returns {boolean} true if message has signedData.expires and it is not later than now
+  */
+  isExpired(now: Date = new Date()) {
+    return !!this.signedData.expires && Date.parse(this.signedData.expires) <= now.getTime();
+  }
+
   /**
   * @returns {boolean} true if message has a positive rating
   */
@@ -249,23 +442,33 @@ class SignedMessage {
   * @param {Object} key Gun.SEA keypair to sign the message with
   */
   async sign(key: Object) {
-    this.sig = await Key.sign(this.signedData, key);
+    this.hash = undefined;
+    if (this.isLegacy()) {
+      this.sig = await Key.sign(this.signedData, key);
+    } else {
+      this.sig = await Key.sign(await this.getHash(), key);
+    }
     this.pubKey = key.pub;
+    this.signerKeyHash = undefined;
+    await this.getSignerKeyID();
+    this._validate();
     await this.getHash();
+    await SignedMessage._cacheSig(this.sig, this.pubKey);
     return true;
   }
 
   /**
-  * Create an iris message. SignedMessage time is automatically set. If signingKey is specified and author omitted, signingKey will be used as author.
+  * Create an iris message. SignedMessage time and version are automatically set. If signingKey is specified and author omitted, signingKey will be used as author.
   * @param {Object} signedData message data object including author, recipient and other possible attributes
   * @param {Object} signingKey optionally, you can set the key to sign the message with
   * @returns {Promise<SignedMessage>}  message
   */
   static async create(signedData: Object, signingKey: Object) {
     if (!signedData.author && signingKey) {
-      signedData.author = {keyID: Key.getId(signingKey)};
+      signedData.author = {keyID: await Key.getId(signingKey)};
     }
     signedData.time = signedData.time || (new Date()).toISOString();
+    signedData.version = VERSION;
     const m = new SignedMessage({signedData});
     if (signingKey) {
       await m.sign(signingKey);
@@ -278,8 +481,15 @@ class SignedMessage {
   * @returns {Promise<Object>} message object promise
   */
   static createVerification(signedData: Object, signingKey: Object) {
-    signedData.type = `verification`;
-    return SignedMessage.create(signedData, signingKey);
+    return SignedMessage.createOfType(`verification`, signedData, signingKey);
+  }
+
+  /**
+  * Create an  unverification message. SignedMessage signedData's type and time are automatically set. Recipient must be set. If signingKey is specified and author omitted, signingKey will be used as author.
+  * @returns {Promise<Object>} message object promise
+  */
+  static createUnverification(signedData: Object, signingKey: Object) {
+    return SignedMessage.createOfType(`unverification`, signedData, signingKey);
   }
 
   /**
@@ -287,13 +497,159 @@ class SignedMessage {
   * @returns {Promise<Object>} message object promise
   */
   static createRating(signedData: Object, signingKey: Object) {
-    signedData.type = `rating`;
-    signedData.context = signedData.context || `iris`;
-    signedData.maxRating = signedData.maxRating || 10;
-    signedData.minRating = signedData.minRating || -10;
+    return SignedMessage.createOfType(`rating`, signedData, signingKey);
+  }
+
+  /**
+  * Create a retraction message that takes back a message you have signed earlier. Retracted ratings and verifications stop counting in SocialNetwork, and retracted messages are hidden from SocialNetwork and Collection results.
+  *
+  * The retraction is only valid if it's signed with the same key as the retracted message.
+  * @param {SignedMessage|string} msg message or hash of the message to retract
+  * @param {Object} signingKey key to sign the retraction with
+  * @returns {Promise<SignedMessage>} message
+  */
+  static async createRetraction(msg: Object, signingKey: Object) {
+    const retracts = typeof msg === `string` ? msg : await msg.getHash();
+    return SignedMessage.createOfType(`retraction`, {retracts}, signingKey);
+  }
+
+  /**
+  * Create a message that is authored by someone else, e.g. imported from another service by a crawler. The signer vouches for the origin of the message.
+  *
+  * SocialNetwork indexes bridged messages separately from self-authored ones: see indexSync.bridged in config.default.json.
+  * @param {Object} signedData message content. author must be given and must not have a keyID, e.g. {url: 'https://twitter.com/alice'}.
+  * @param {Object} source {url, time}: url of the original message and its original time (optional)
+  * @param {Object} signingKey key of the bridge
+  * @returns {Promise<SignedMessage>} message
+  * @example
+  * var msg = await iris.SignedMessage.bridge({type: 'post', author: {url: 'https://twitter.com/alice'}, text: 'hello'}, {url: 'https://twitter.com/alice/status/1', time: '2020-01-01T00:00:00.000Z'}, crawlerKey);
+  */
+  static async bridge(signedData: Object, source: Object, signingKey: Object) {
+    if (!signedData.author) {
+      throw new ValidationError(`${errorMsg} Bridged message must have an author`);
+    }
+    const src = {url: source && source.url};
+    if (source && source.time !== undefined) {
+      src.time = source.time instanceof Date ? source.time.toISOString() : source.time;
+    }
+    return SignedMessage.create(Object.assign({}, signedData, {source: src}), signingKey);
+  }
+
+  /**
+  * Create a reply to a message. SocialNetwork indexes replies by signedData.replyTo, so that they can be listed
+  * with getReplies() and getThread().
+  * @param {SignedMessage|string} msg message or hash of the message to reply to
+  * @param {Object} signedData reply content, e.g. {text}. Type defaults to post.
+  * @param {Object} signingKey key to sign the reply with
+  * @returns {Promise<SignedMessage>} message
+  */
+  static async createReply(msg: Object, signedData: Object, signingKey: Object) {
+    const replyTo = typeof msg === `string` ? msg : await msg.getHash();
+    return SignedMessage.create(Object.assign({type: `post`}, signedData, {replyTo}), signingKey);
+  }
+
+  /**
+  * Create a message that quotes another message. Leave out signedData.text to create a repost.
+  * @param {SignedMessage|string} msg message or hash of the message to quote
+  * @param {Object} signedData (optional) message content, e.g. {text}. Type defaults to post.
+  * @param {Object} signingKey key to sign the message with
+  * @returns {Promise<SignedMessage>} message
+  */
+  static async createQuote(msg: Object, signedData: Object = {}, signingKey: Object) {
+    const quote = typeof msg === `string` ? msg : await msg.getHash();
+    return SignedMessage.create(Object.assign({type: `post`}, signedData, {quote}), signingKey);
+  }
+
+  /**
+  * Register a message type, so that messages of the type are validated against its schema.
+  * Registering an already registered type replaces it.
+  *
+  * rating, verification, unverification, keyRotation and retraction are registered by default.
+  * @param {string} type message type, the signedData.type field
+  * @param {Object} options
+  * @param {Object} options.schema (optional) JSON schema subset that signedData must match: type, enum, required, properties, additionalProperties, items, minimum, maximum, minLength, maxLength, pattern, minItems and maxItems
+  * @param {Function} options.validate (optional) function(signedData) for other rules. Throw an Error or return false if the message is invalid.
+  * @param {Function} options.create (optional) function(signedData) that sets default values in the helper constructor
+  * @returns {Function} helper constructor function(signedData, signingKey) that returns Promise<SignedMessage>, like createRating()
+  * @example
+  * const createPost = SignedMessage.registerType('post', {
+  *   schema: {required: ['text'], properties: {text: {type: 'string', maxLength: 1000}}}
+  * });
+  * const msg = await createPost({text: 'hello'}, myKey);
+  */
+  static registerType(type: string, options: Object = {}) {
+    if (typeof type !== `string` || !type.length) {
+      throw new Error(`type must be a non-empty string`);
+    }
+    messageTypes[type] = {schema: options.schema, validate: options.validate, create: options.create};
+    return (signedData, signingKey) => SignedMessage.createOfType(type, signedData, signingKey);
+  }
+
+  /**
+  * @param {string} type message type to remove from the registry
+  */
+  static unregisterType(type: string) {
+    delete messageTypes[type];
+  }
+
+  /**
+  * @returns {string[]} registered message types
+  */
+  static getRegisteredTypes() {
+    return Object.keys(messageTypes);
+  }
+
+  /**
+  * @param {boolean} reject if true, messages of types that are not registered are invalid. By default they are accepted without type-specific checks.
+  */
+  static setRejectUnknownTypes(reject: boolean) {
+    rejectUnknownTypes = !!reject;
+  }
+
+  /**
+  * Create a message of a registered type. signedData's type is set, and defaults are set by the type's create function.
+  * @param {string} type registered message type
+  * @param {Object} signedData message data
+  * @param {Object} signingKey (optional) key to sign the message with
+  * @returns {Promise<SignedMessage>} message
+  */
+  static async createOfType(type: string, signedData: Object, signingKey: Object) {
+    const messageType = messageTypes[type];
+    if (!messageType) {
+      throw new Error(`Message type ${type} is not registered`);
+    }
+    signedData.type = type;
+    if (messageType.create) {
+      messageType.create(signedData);
+    }
     return SignedMessage.create(signedData, signingKey);
   }
 
+  /**
+  * Create a keyRotation message that announces newKey as the successor of oldKey. It is signed by both keys:
+  * oldKey signs the message and newKey signs the newKeySig field. Ratings and verifications of the old key are carried over to the new one when the message is added to a SocialNetwork.
+  *
+  * Usually you'll want to use Key.rotate(), which also generates the new key.
+  * @param {Object} oldKey Gun.SEA keypair that is retired
+  * @param {Object} newKey Gun.SEA keypair that replaces it
+  * @returns {Promise<SignedMessage>} message
+  */
+  static async createKeyRotation(oldKey: Object, newKey: Object) {
+    const time = (new Date()).toISOString();
+    const oldKeyID = await Key.getId(oldKey);
+    const newKeyID = await Key.getId(newKey);
+    const newKeySig = await Key.sign({type: `keyRotation`, oldKeyID, newKeyID, time}, newKey);
+    const signedData = {
+      type: `keyRotation`,
+      author: {keyID: oldKeyID},
+      recipient: {keyID: newKeyID},
+      newPubKey: newKey.pub,
+      newKeySig,
+      time
+    };
+    return SignedMessage.create(signedData, oldKey);
+  }
+
   /**
   * @param {Index} index index to look up the message author from
   * @returns {Contact} message author identity
@@ -322,15 +678,31 @@ class SignedMessage {
   }
 
   /**
+  * Hash of the canonical JSON of signedData, which doesn't change if the message is re-serialized with different key order or whitespace.
+  * The hash of a legacy message is the hash of its signature.
   * @returns {string} base64 sha256 hash of message
   */
   async getHash() {
-    if (this.sig && !this.hash) {
-      this.hash = await util.getHash(this.sig);
+    if (!this.hash) {
+      if (!this.isLegacy()) {
+        this.hash = await util.getHash(util.canonicalJSON(this.signedData));
+      } else if (this.sig) {
+        this.hash = await util.getHash(this.sig);
+      }
     }
     return this.hash;
   }
 
+  /**
+  * Legacy messages have no version field. Their signature covers signedData as serialized by Gun.SEA.sign, and signedData is read from the signature.
+  *
+  * Newer messages are signed by signing getHash(), the hash of canonical JSON of signedData, and signedData is serialized separately.
+  * @returns {boolean} true if message is in the legacy format
+  */
+  isLegacy() {
+    return !(this.signedData && this.signedData.version !== undefined);
+  }
+
   getId() {
     return this.getHash();
   }
@@ -342,12 +714,25 @@ class SignedMessage {
     if (!obj.pubKey) {
       throw new Error(`Missing pubKey in object:`);
     }
-    const signedData = await Key.verify(obj.sig, obj.pubKey);
-    const o = {signedData, sig: obj.sig, pubKey: obj.pubKey};
-    return new SignedMessage(o);
+    let msg;
+    if (obj.signedData) {
+      const signedData = typeof obj.signedData === `string` ? JSON.parse(obj.signedData) : obj.signedData;
+      msg = new SignedMessage({signedData, sig: obj.sig, pubKey: obj.pubKey});
+      await msg.verify();
+    } else {
+      const signedData = await SignedMessage._readSig(obj.sig, obj.pubKey);
+      msg = new SignedMessage({signedData, sig: obj.sig, pubKey: obj.pubKey});
+      if (!msg.isLegacy()) {
+        throw new ValidationError(`${errorMsg} Versioned message must have signedData outside the signature`);
+      }
+      await msg._validateSigner();
+      await SignedMessage._cacheSig(obj.sig, obj.pubKey);
+    }
+    return msg;
   }
 
   /**
+  * Verify the signature of the message. Both legacy and canonical (versioned) messages are accepted.
   * @return {boolean} true if message signature is valid. Otherwise throws ValidationError.
   */
   async verify() {
@@ -357,25 +742,103 @@ class SignedMessage {
     if (!this.sig) {
       throw new ValidationError(`${errorMsg} SignedMessage has no .sig`);
     }
-    this.signedData = await Key.verify(this.sig, this.pubKey);
-    if (!this.signedData) {
-      throw new ValidationError(`${errorMsg} Invalid signature`);
+    const legacy = this.isLegacy();
+    const hash = legacy ? await util.getHash(this.sig) : await util.getHash(util.canonicalJSON(this.signedData));
+    if (this.hash && this.hash !== hash) {
+      throw new ValidationError(`${errorMsg} Invalid message hash`);
     }
-    if (this.hash) {
-      if (this.hash !== (await util.getHash(this.sig))) {
-        throw new ValidationError(`${errorMsg} Invalid message hash`);
+    this.hash = hash;
+    const signed = await SignedMessage._readSig(this.sig, this.pubKey);
+    if (legacy) {
+      this.signedData = signed;
+      if (!this.isLegacy()) {
+        throw new ValidationError(`${errorMsg} Versioned message must have signedData outside the signature`);
       }
-    } else {
-      this.getHash();
     }
+    if (!signed || (!legacy && signed !== hash)) {
+      throw new ValidationError(`${errorMsg} Invalid signature`);
+    }
+    await this._validateSigner();
+    await SignedMessage._cacheSig(this.sig, this.pubKey);
     return true;
   }
 
   /**
-  * @returns {string}
+  * Verify many messages concurrently. Signatures found in the signature cache are not verified again.
+  * @param {SignedMessage[]} msgs messages to verify
+  * @param {number} concurrency (optional) maximum number of messages verified at the same time. Default 8.
+  * @returns {Promise<boolean[]>} true for valid and false for invalid messages, in the same order as msgs
+  */
+  static async verifyBatch(msgs: Array<SignedMessage>, concurrency: number = 8) {
+    const results = new Array(msgs.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < msgs.length) {
+        const i = next++;
+        try {
+          results[i] = await msgs[i].verify();
+        } catch (e) {
+          results[i] = false;
+        }
+      }
+    };
+    const workers = [];
+    for (let i = 0;i < Math.min(concurrency, msgs.length);i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+  * Set a cache of verified signatures that verify(), verifyBatch() and fromSig() use to skip signatures that have been verified before.
+  * @param {SignatureCache} cache cache to use, or null to disable caching
+  */
+  static setSignatureCache(cache) {
+    signatureCache = cache;
+  }
+
+  /**
+  * @returns {SignatureCache} the cache set with setSignatureCache(), or undefined
+  */
+  static getSignatureCache() {
+    return signatureCache;
+  }
+
+  /**
+  * The cache is keyed by the hash of the signature, not of the message: a versioned message with a valid hash
+  * can come with any signature. For legacy messages these are the same.
+  */
+  static async _readSig(sig, pubKey) {
+    if (signatureCache && signatureCache.has(await util.getHash(sig), pubKey)) {
+      return Key.unpack(sig); // the hash of a versioned message, or signedData of a legacy message
+    }
+    return Key.verify(sig, pubKey);
+  }
+
+  static async _cacheSig(sig, pubKey) {
+    if (signatureCache) {
+      signatureCache.set(await util.getHash(sig), pubKey);
+    }
+  }
+
+  async _validateSigner() {
+    await this.getSignerKeyID();
+    this._validate();
+    if (this.isKeyRotation()) {
+      await this._verifyKeyRotation();
+    }
+  }
+
+  /**
+  * signedData of versioned messages is serialized as a canonical JSON string, so that it can be stored in gun as is.
+  * @returns {Object} {signedData, sig, pubKey}, or {sig, pubKey} for legacy messages
   */
   serialize() {
-    return {sig: this.sig, pubKey: this.pubKey};
+    if (this.isLegacy()) {
+      return {sig: this.sig, pubKey: this.pubKey};
+    }
+    return {signedData: util.canonicalJSON(this.signedData), sig: this.sig, pubKey: this.pubKey};
   }
 
   toString() {
@@ -394,15 +857,150 @@ class SignedMessage {
   }
 
   /**
+  * Set your reaction to a message.
+  *
+  * The reaction is stored in your own gun user space at reactions/<message hash>, so that nobody else can forge it.
+  * Your public key is also added to the public list of reactors at gun.get('reactions').get(<message hash>), which
+  * is only used to find the user spaces to read reactions from.
   *
+  * If gun.user() is not logged in with key, the reaction is written by a separate gun instance connected to the same peers.
+  * @param {Object} gun gun instance with SEA
+  * @param {SignedMessage|string} msg message or message hash
+  * @param {string} reaction reaction, e.g. an emoji. null removes your reaction.
+  * @param {Object} key (optional) keypair to react with. Default: the active key.
+  * @returns {Promise}
+  */
+  static async setReaction(gun, msg: Object | string, reaction: string | null, key: Object) {
+    if (reaction !== null && !(typeof reaction === `string` && reaction.length)) {
+      throw new Error(`Reaction must be a non-empty string or null`);
+    }
+    key = key || (await Key.getActiveKey());
+    const hash = typeof msg === `string` ? msg : await msg.getHash();
+    const put = user => {
+      user.get(`reactions`).get(hash).put(reaction);
+      gun.get(`reactions`).get(hash).get(key.pub).put(reaction === null ? null : true);
+    };
+    const user = gun.user();
+    if (user.is && user.is.pub === key.pub) {
+      put(user);
+    } else {
+      await util.gunAsAnotherUser(gun, key, put); // the shared gun user may be logged in as someone else
+    }
+  }
+
+  /**
+  * Remove your reaction to a message
+  * @param {Object} gun gun instance with SEA
+  * @param {SignedMessage|string} msg message or message hash
+  * @param {Object} key (optional) keypair that reacted. Default: the active key.
+  * @returns {Promise}
+  */
+  static removeReaction(gun, msg: Object | string, key: Object) {
+    return SignedMessage.setReaction(gun, msg, null, key);
+  }
+
+  /**
+  * Subscribe to the reactions to a message. Reactions are read from the reactors' own user spaces.
+  * @param {Object} gun gun instance
+  * @param {SignedMessage|string} msg message or message hash
+  * @param {Function} callback called with an object of reactor public key -> reaction whenever the reactions change
+  * @returns {Promise<Function>} call to unsubscribe
+  */
+  static async getReactions(gun, msg: Object | string, callback: Function) {
+    const hash = typeof msg === `string` ? msg : await msg.getHash();
+    const reactions = {};
+    const subscriptions = {};
+    let stopped = false;
+    gun.get(`reactions`).get(hash).map().on((v, pub, a, e) => {
+      subscriptions[`reactors`] = e;
+      if (stopped || subscriptions[pub]) { return; }
+      subscriptions[pub] = true;
+      gun.user(pub).get(`reactions`).get(hash).on((reaction, k, b, event) => {
+        subscriptions[pub] = event;
+        if (stopped) { return; }
+        reaction = typeof reaction === `string` && reaction.length ? reaction : undefined;
+        if (reactions[pub] === reaction) { return; }
+        if (reaction) {
+          reactions[pub] = reaction;
+        } else {
+          delete reactions[pub];
+        }
+        callback(Object.assign({}, reactions));
+      });
+    });
+    return () => {
+      stopped = true;
+      Object.keys(subscriptions).forEach(k => subscriptions[k].off && subscriptions[k].off());
+    };
+  }
+
+  /**
+  * Subscribe to the number of each reaction to a message
+  * @param {Object} gun gun instance
+  * @param {SignedMessage|string} msg message or message hash
+  * @param {Function} callback called with an object of reaction -> count whenever the reactions change
+  * @returns {Promise<Function>} call to unsubscribe
   */
-  static async setReaction(gun, msg: Object, reaction) {
-    const hash = await msg.getHash();
-    gun.get(`reactions`).get(hash).put(reaction);
-    gun.get(`reactions`).get(hash).put(reaction);
-    gun.get(`messagesByHash`).get(hash).get(`reactions`).get(this.rootContact.value).put(reaction);
-    gun.get(`messagesByHash`).get(hash).get(`reactions`).get(this.rootContact.value).put(reaction);
+  static getReactionCounts(gun, msg: Object | string, callback: Function) {
+    return SignedMessage.getReactions(gun, msg, reactions => {
+      const counts = {};
+      Object.keys(reactions).forEach(pub => {
+        counts[reactions[pub]] = (counts[reactions[pub]] || 0) + 1;
+      });
+      callback(counts);
+    });
   }
 }
 
+SignedMessage.registerType(`rating`, {
+  schema: {
+    required: [`recipient`, `rating`, `maxRating`, `minRating`, `context`],
+    properties: {
+      rating: {type: `number`},
+      maxRating: {type: `number`},
+      minRating: {type: `number`},
+      context: {type: `string`, minLength: 1}
+    }
+  },
+  validate: d => {
+    if (d.rating > d.maxRating) {throw new ValidationError(`${errorMsg} Rating is above maxRating`);}
+    if (d.rating < d.minRating) {throw new ValidationError(`${errorMsg} Rating is below minRating`);}
+  },
+  create: d => {
+    d.context = d.context || `iris`;
+    d.maxRating = d.maxRating || 10;
+    d.minRating = d.minRating || -10;
+  }
+});
+
+const validateConnection = d => {
+  if (countAttributes(d.recipient) < 2) {throw new ValidationError(`${errorMsg} At least 2 recipient attributes are needed for a connection / disconnection. Got: ${JSON.stringify(d.recipient)}`);}
+};
+SignedMessage.registerType(`verification`, {schema: {required: [`recipient`]}, validate: validateConnection});
+SignedMessage.registerType(`unverification`, {schema: {required: [`recipient`]}, validate: validateConnection});
+
+SignedMessage.registerType(`keyRotation`, {
+  schema: {
+    required: [`recipient`, `newPubKey`, `newKeySig`],
+    properties: {
+      author: {type: `object`, required: [`keyID`], properties: {keyID: {type: `string`}}},
+      recipient: {type: `object`, required: [`keyID`], properties: {keyID: {type: `string`}}},
+      newPubKey: {type: `string`},
+      newKeySig: {type: `string`}
+    }
+  },
+  validate: d => {
+    if (d.author.keyID === d.recipient.keyID) {throw new ValidationError(`${errorMsg} Key rotation must change the key`);}
+  }
+});
+
+SignedMessage.registerType(`retraction`, {
+  schema: {
+    required: [`retracts`],
+    properties: {
+      retracts: {type: `string`} // a message hash, see REFERENCE_FIELDS
+    }
+  }
+});
+
 export default SignedMessage;
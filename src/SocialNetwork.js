@@ -0,0 +1,1084 @@
+import Gun from 'gun'; // eslint-disable-line no-unused-vars
+import 'gun/sea';
+import Key from './Key';
+import Attribute from './Attribute';
+import Contact from './Contact';
+import SignedMessage from './SignedMessage';
+import TrustGraph from './TrustGraph';
+import util from './util';
+
+const IMPORT_WAIT = 2000; // ms to wait for the entries of a remote index to start arriving
+const IMPORT_SETTLE = 200; // ms to wait for more entries of a remote index before importing the newest ones
+
+const DEFAULT_INDEX_SYNC = {
+  importOnAdd: {
+    enabled: true,
+    maxMsgCount: 100,
+    maxMsgDistance: 2
+  },
+  subscribe: {
+    enabled: true,
+    maxMsgDistance: 1
+  },
+  query: {
+    enabled: true
+  },
+  msgTypes: {
+    all: false,
+    rating: true,
+    verification: true,
+    unverification: true,
+    keyRotation: true,
+    retraction: true
+  },
+  bridged: {
+    enabled: true,
+    maxSignerDistance: 1
+  },
+  pruneExpired: {
+    enabled: true,
+    interval: 3600
+  }
+};
+
+function addUnique(arr, items) {
+  items.forEach(item => {
+    if (arr.indexOf(item) === -1) {
+      arr.push(item);
+    }
+  });
+  return arr;
+}
+
+function mergeDeep(target, source) {
+  Object.keys(source).forEach(key => {
+    const value = source[key];
+    if (value && typeof value === `object` && target[key] && typeof target[key] === `object`) {
+      mergeDeep(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+const DEFAULT_OPTIONS = {
+  indexSync: DEFAULT_INDEX_SYNC,
+  debug: false
+};
+
+/**
+* Index of SignedMessages and the Contacts they refer to. Messages are stored in your gun user space,
+* indexed by author, recipient and time, so that others can read and relay your index.
+*
+* Usually you only need one SocialNetwork per application. It is used by Contact.sent(), Contact.received(),
+* SignedMessage.getAuthor() and SignedMessage.getRecipient() to look up messages and identities.
+*
+* @param {Object} options
+* @param {Object} options.gun [gun](https://github.com/amark/gun) instance
+* @param {Object} options.keypair (optional) your keypair. Defaults to Key.getActiveKey().
+* @param {Object} options.indexSync (optional) index synchronization settings, see config.default.json
+* @param {boolean} options.debug (optional) log indexing errors to console
+* @example
+* var index = new iris.SocialNetwork({gun});
+* await index.ready;
+* var msg = await iris.SignedMessage.createRating({recipient: {email: 'bob@example.com'}, rating: 10}, myKey);
+* await index.addMessage(msg);
+* var results = await index.search('bob');
+*/
+class SocialNetwork {
+  constructor(options = {}) {
+    if (!options.gun) {
+      throw new Error(`Missing options.gun`);
+    }
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this.options.indexSync = {};
+    Object.keys(DEFAULT_INDEX_SYNC).forEach(k => {
+      this.options.indexSync[k] = Object.assign({}, DEFAULT_INDEX_SYNC[k], options.indexSync && options.indexSync[k]);
+    });
+    this.gun = options.gun;
+    this.contacts = {}; // maps Contact id (linkTo uri) to its data
+    this.contactIds = {}; // maps attribute uri to the id of the Contact it belongs to
+    this.messagesByHash = {};
+    this.verifications = {}; // maps attribute uri to verifier Contact id to {positive, time}
+    this.verificationsBy = {}; // maps verifier Contact id to the verifications it has signed
+    this.imported = {}; // public keys whose messages have been imported
+    this.subscriptions = {}; // maps public key to its live message subscription
+    this.remoteContacts = {}; // Contacts found in the indexes of subscribed identities
+    this.pubs = {}; // maps keyID to a promise of its public key
+    this.retracted = {}; // maps retracted message hash to the retraction
+    this.pendingRetractions = {}; // maps hash of a message that is not indexed yet to retractions of it
+    this.ready = this._init();
+  }
+
+  async _init() {
+    this.key = this.options.keypair || (await Key.getActiveKey());
+    this.user = this.gun.user();
+    await new Promise(resolve => this.user.auth(this.key, resolve));
+    this.root = this.user.get(`iris`);
+    this.rootAttribute = new Attribute(`keyID`, await Key.publishId(this.gun, this.key));
+    this._addPub(this.rootAttribute.value, this.key.pub);
+    const id = this._getContactIdOrCreate(this.rootAttribute);
+    this.trustGraph = new TrustGraph(id);
+    this.contacts[id].trustDistance = 0;
+    this.root.put({contacts: this._getContactData([id])});
+    this.root.get(`messagesByHash`).map().once(async data => {
+      try {
+        const msg = await SignedMessage.fromSig(data);
+        if (msg.isExpired()) {
+          this.root.put(await this._getRemovalData(msg)); // expired while stored
+          return;
+        }
+        await this._indexMessage(msg, false);
+      } catch (e) {
+        this._debug(`failed to load stored message`, e);
+      }
+    });
+    return true;
+  }
+
+  _debug(...args) {
+    if (this.options.debug) {
+      console.log(...args);
+    }
+  }
+
+  /**
+  * @returns {Contact} Contact of the index owner
+  */
+  getRootContact() {
+    return this.getContacts(this.rootAttribute);
+  }
+
+  /**
+  * Get the Contact that an attribute belongs to.
+  * @param {Attribute|string} value attribute, or attribute value
+  * @param {string} type (optional) attribute type. Guessed if omitted.
+  * @returns {Contact} Contact whose data lives in the index
+  */
+  getContacts(value, type) {
+    const attr = value instanceof Attribute ? value : new Attribute(type ? {type, value} : value);
+    const id = this.contactIds[attr.uri()] || attr.uri();
+    const linkTo = this.contacts[id] ? this.contacts[id].linkTo : attr;
+    const contact = new Contact(this.root.get(`contacts`).get(id), linkTo);
+    if (this.contacts[id]) {
+      contact.trustDistance = this.contacts[id].trustDistance;
+      contact.receivedPositive = this.contacts[id].receivedPositive || 0;
+      contact.receivedNegative = this.contacts[id].receivedNegative || 0;
+    }
+    return contact;
+  }
+
+  /**
+  * Search Contacts by attribute value. Results are sorted by trust distance.
+  *
+  * If indexSync.query is enabled, Contacts found in the indexes of subscribed identities are included as well.
+  * @param {string} query string to look for in attribute values
+  * @param {number} limit max number of results
+  * @returns {Promise<Contact[]>} matching Contacts
+  */
+  async search(query = ``, limit = 10) {
+    await this.ready;
+    const q = query.toLowerCase();
+    const results = [];
+    Object.keys(this.contacts).forEach(id => {
+      const attrs = this.contacts[id].attrs;
+      const match = Object.keys(attrs).some(uri => attrs[uri].value.toLowerCase().indexOf(q) > -1);
+      if (match) {
+        results.push(this.getContacts(this.contacts[id].linkTo));
+      }
+    });
+    if (this.options.indexSync.query.enabled) {
+      Object.keys(this.remoteContacts).forEach(k => {
+        const remote = this.remoteContacts[k];
+        const uris = Object.keys(remote.attrs);
+        if (uris.some(uri => this.contactIds[uri]) || !uris.some(uri => remote.attrs[uri].value.toLowerCase().indexOf(q) > -1)) {
+          return; // already known or no match
+        }
+        const linkTo = Contact.getLinkTo(JSON.parse(JSON.stringify(remote.attrs)));
+        if (linkTo) {
+          results.push(new Contact(remote.gun, new Attribute(linkTo.type, linkTo.value)));
+        }
+      });
+    }
+    const distance = c => (typeof c.trustDistance === `number` ? c.trustDistance : Infinity);
+    results.sort((a, b) => distance(a) - distance(b));
+    return results.slice(0, limit);
+  }
+
+  /**
+  * Verify a message and add it to the index
+  * @param {SignedMessage} msg message to add
+  * @returns {Promise<boolean>} true if the message was added, false if it was already indexed or its type is not enabled in indexSync.msgTypes
+  */
+  async addMessage(msg: SignedMessage) {
+    if (!(msg instanceof SignedMessage)) {
+      throw new Error(`addMessage param must be a SignedMessage, got ${typeof msg}`);
+    }
+    await this.ready;
+    await msg.verify();
+    return this._indexMessage(msg, true);
+  }
+
+  /**
+  * Add multiple messages to the index. Signatures are verified concurrently with SignedMessage.verifyBatch(), and invalid messages are skipped.
+  * @param {SignedMessage[]} msgs messages to add
+  * @returns {Promise<number>} number of messages that were added
+  */
+  async addMessages(msgs: Array<SignedMessage>) {
+    msgs.forEach(msg => {
+      if (!(msg instanceof SignedMessage)) {
+        throw new Error(`addMessages param must be an array of SignedMessages, got ${typeof msg}`);
+      }
+    });
+    await this.ready;
+    const valid = await SignedMessage.verifyBatch(msgs);
+    const batch = {}; // saved in one put, like the indexes of a single message
+    let added = 0;
+    for (let i = 0;i < msgs.length;i++) {
+      if (!valid[i]) {
+        this._debug(`skipped invalid message`, msgs[i]);
+      } else if (await this._indexMessage(msgs[i], true, batch)) {
+        added++;
+      }
+    }
+    if (added) {
+      this.root.put(batch);
+    }
+    return added;
+  }
+
+  _isEnabledType(type) {
+    const msgTypes = this.options.indexSync.msgTypes;
+    return !!(msgTypes.all || msgTypes[type]);
+  }
+
+  /**
+  * @param {SignedMessage} msg verified message
+  * @param {boolean} save whether to save the message in the gun index
+  * @param {Object} batch (optional) object to merge the index data into instead of saving it right away
+  * @returns {Promise<boolean>} true if the message was added
+  */
+  async _indexMessage(msg, save, batch) {
+    // only a message whose author is the signer's own keyID counts as the author's; others are indexed as bridged
+    const selfAuthored = await msg.isSelfAuthored();
+    if (!this._isEnabledType(msg.signedData.type) || msg.isExpired() || (!selfAuthored && !this.options.indexSync.bridged.enabled)) {
+      return false;
+    }
+    const hash = await msg.getHash();
+    if (this.messagesByHash[hash]) {
+      return false;
+    }
+    this.messagesByHash[hash] = msg;
+    const type = msg.signedData.type;
+    this._addPub(await msg.getSignerKeyID(), msg.pubKey);
+    if (type === `keyRotation`) {
+      this._addPub(msg.getKeyRotation().newKeyID, msg.signedData.newPubKey);
+    }
+    const authorAttrs = await this._normalizeKeyIDs(msg.getAuthorArray());
+    const recipientAttrs = await this._normalizeKeyIDs(msg.getRecipientArray());
+    const changed = [];
+    const authorId = this._addContactAttrs(authorAttrs, changed);
+    // unverified attributes are not added to Contacts
+    const recipientId = type === `unverification` ? undefined : this._addContactAttrs(recipientAttrs, changed);
+    const pendingRetraction = (this.pendingRetractions[hash] || []).find(r => r.pubKey === msg.pubKey);
+    if (pendingRetraction) {
+      this.retracted[hash] = pendingRetraction;
+      delete this.pendingRetractions[hash];
+    }
+    if (this.retracted[hash]) {
+      // retracted before it was indexed: stored, but doesn't count
+    } else if (!selfAuthored && !(await this.isTrustedBridge(msg))) {
+      // bridged by a signer outside indexSync.bridged.maxSignerDistance: stored, but doesn't count
+    } else if (type === `rating` && authorId && recipientId) {
+      addUnique(changed, this._addRating(msg, authorId, recipientId));
+    } else if ((type === `verification` || type === `unverification`) && authorId) {
+      addUnique(changed, this._addVerification(msg, recipientAttrs, authorId));
+    } else if (type === `keyRotation` && authorId && recipientId) {
+      addUnique(changed, this._addKeyRotation(authorAttrs[0], recipientAttrs[0], authorId, recipientId));
+    } else if (type === `retraction`) {
+      addUnique(changed, await this._addRetraction(msg));
+    }
+    if (!save) {
+      if (changed.length) {
+        this.root.put({contacts: this._getContactData(changed)});
+      }
+      return true;
+    }
+    // Write everything in one put: concurrent puts to new paths in user space may get lost
+    const data = this._getIndexData(msg, hash, authorAttrs, recipientAttrs, msg.serialize());
+    if (changed.length) {
+      data.contacts = this._getContactData(changed);
+    }
+    if (batch) {
+      mergeDeep(batch, data);
+    } else {
+      this.root.put(data);
+    }
+    return true;
+  }
+
+  /**
+  * @param {*} value serialized message, or null to remove the message from the index
+  * @returns {Object} data to put to the index root: the message in messagesByHash and in the time, author, recipient, replyTo and quote indexes
+  */
+  _getIndexData(msg, hash, authorAttrs, recipientAttrs, value) {
+    const indexKey = `${msg.signedData.time || msg.signedData.timestamp}:${hash.slice(0, 12)}`;
+    const data = {
+      messagesByHash: {[hash]: value},
+      messagesByTimestamp: {[indexKey]: value}
+    };
+    // empty objects make gun drop the whole put, so indexes without entries are left out
+    authorAttrs.forEach(a => {
+      data.messagesByAuthor = data.messagesByAuthor || {};
+      data.messagesByAuthor[a.uri()] = {[indexKey]: value};
+    });
+    recipientAttrs.forEach(a => {
+      data.messagesByRecipient = data.messagesByRecipient || {};
+      data.messagesByRecipient[a.uri()] = {[indexKey]: value};
+    });
+    if (msg.signedData.replyTo) {
+      data.messagesByReplyTo = {[msg.signedData.replyTo]: {[indexKey]: value}};
+    }
+    if (msg.signedData.quote) {
+      data.messagesByQuote = {[msg.signedData.quote]: {[indexKey]: value}};
+    }
+    return data;
+  }
+
+  /**
+  * @returns {Promise<Object>} data that removes msg from the index when put to the index root
+  */
+  async _getRemovalData(msg) {
+    const authorAttrs = await this._normalizeKeyIDs(msg.getAuthorArray());
+    const recipientAttrs = await this._normalizeKeyIDs(msg.getRecipientArray());
+    return this._getIndexData(msg, await msg.getHash(), authorAttrs, recipientAttrs, null);
+  }
+
+  /**
+  * Remove messages whose signedData.expires has passed from the index and from gun storage. Their ratings and verifications stop counting.
+  *
+  * Expired messages are not indexed or returned in the first place, but messages that expire after they were added stay in the index until pruned.
+  * The iris node does this periodically: see indexSync.pruneExpired in config.default.json.
+  * @param {Date} now (optional) time to compare expiry to. Defaults to the current time.
+  * @returns {Promise<number>} number of removed messages
+  */
+  async pruneExpired(now: Date = new Date()) {
+    await this.ready;
+    const hashes = Object.keys(this.messagesByHash).filter(hash => this.messagesByHash[hash].isExpired(now));
+    const changed = [];
+    const data = {};
+    for (let i = 0;i < hashes.length;i++) {
+      const msg = this.messagesByHash[hashes[i]];
+      delete this.messagesByHash[hashes[i]];
+      const type = msg.signedData.type;
+      if (this.retracted[hashes[i]]) {
+        // effects already removed
+      } else if (type === `rating`) {
+        addUnique(changed, await this._removeRating(msg));
+      } else if (type === `verification` || type === `unverification`) {
+        addUnique(changed, await this._removeVerification(msg));
+      }
+      mergeDeep(data, await this._getRemovalData(msg));
+    }
+    if (changed.length) {
+      data.contacts = this._getContactData(changed);
+    }
+    if (hashes.length) {
+      this.root.put(data);
+    }
+    return hashes.length;
+  }
+
+  /**
+  * Messages whose author is not the signer's keyID are bridged: authored by someone else and signed by a crawler or bridge. Their ratings and verifications
+  * count only if the signer is within indexSync.bridged.maxSignerDistance in the web of trust when the message is indexed.
+  * @param {SignedMessage} msg message
+  * @returns {Promise<boolean>} true if msg is not bridged or its signer is a trusted bridge
+  */
+  async isTrustedBridge(msg: SignedMessage) {
+    if (await msg.isSelfAuthored()) {
+      return true;
+    }
+    const signerId = this.contactIds[new Attribute(`keyID`, await msg.getSignerKeyID()).uri()];
+    const distance = signerId && this.trustGraph.getTrustDistance(signerId);
+    return typeof distance === `number` && distance <= this.options.indexSync.bridged.maxSignerDistance;
+  }
+
+  /**
+  * Update the trust graph with a rating message and copy the resulting trust values to Contacts
+  * @returns {string[]} ids of the Contacts whose trust values changed
+  */
+  _addRating(msg, authorId, recipientId) {
+    let value = 0;
+    if (msg.isPositive()) {
+      value = 1;
+    } else if (msg.isNegative()) {
+      value = -1;
+    }
+    const changed = this.trustGraph.addRating(authorId, recipientId, value, Date.parse(msg.signedData.time) || 0);
+    return this._updateTrust(changed);
+  }
+
+  /**
+  * Copy trust values from the trust graph to Contacts. Verifications signed by Contacts whose
+  * trustDistance changed are re-applied, as they only count when signed from within the web of trust.
+  * @param {string[]} ids ids of the Contacts whose trust values changed
+  * @returns {string[]} ids of changed Contacts
+  */
+  _updateTrust(ids) {
+    const changed = [];
+    const verifiers = [];
+    ids.forEach(id => {
+      const contact = this.contacts[id];
+      if (!contact) {
+        return;
+      }
+      const distance = this.trustGraph.getTrustDistance(id);
+      if (contact.trustDistance !== distance) {
+        if (this.verificationsBy[id]) {
+          verifiers.push(id);
+        }
+        this._updateSync(id, distance);
+      }
+      contact.trustDistance = distance;
+      Object.assign(contact, this.trustGraph.getReceived(id));
+      changed.push(id);
+    });
+    verifiers.forEach(id => {
+      (this.verificationsBy[id] || []).forEach(v => {
+        addUnique(changed, this._applyVerification(v));
+      });
+    });
+    return changed;
+  }
+
+  /**
+  * Messages signed before keyIDs were hashed have the full public key as keyID. Replace it with the hash,
+  * so that old and new messages of the same key refer to the same Contact.
+  * @returns {Promise<Attribute[]>} attributes with hashed keyIDs
+  */
+  _normalizeKeyIDs(attrs) {
+    return Promise.all(attrs.map(async a => {
+      if (a.type !== `keyID` || !Key.isLegacyId(a.value)) {
+        return a;
+      }
+      const keyID = await Key.getId({pub: a.value});
+      this._addPub(keyID, a.value);
+      return new Attribute(`keyID`, keyID);
+    }));
+  }
+
+  _addPub(keyID, pub) {
+    if (keyID && pub && !this.pubs[keyID]) {
+      this.pubs[keyID] = Promise.resolve(pub);
+    }
+  }
+
+  /**
+  * @returns {Promise<string>} public key of a keyID: known from indexed messages or looked up with Key.getPubById()
+  */
+  _getPub(keyID) {
+    if (!this.pubs[keyID]) {
+      this.pubs[keyID] = Key.getPubById(this.gun, keyID).catch(e => this._debug(`keyID lookup failed`, e));
+    }
+    return this.pubs[keyID];
+  }
+
+  /**
+  * @returns {string[]} keyIDs of a Contact
+  */
+  _getKeyIDs(id) {
+    const attrs = this.contacts[id] ? this.contacts[id].attrs : {};
+    return Object.keys(attrs).filter(uri => attrs[uri].type === `keyID`).map(uri => attrs[uri].value);
+  }
+
+  /**
+  * Import and subscribe to the indexes of a Contact's keys according to indexSync settings
+  * @param {string} id Contact id
+  * @param {number} distance new trustDistance of the Contact
+  */
+  _updateSync(id, distance) {
+    const sync = this.options.indexSync;
+    const isTrusted = typeof distance === `number` && distance > 0;
+    this._getKeyIDs(id).forEach(async keyID => {
+      const pub = await this._getPub(keyID);
+      if (!pub || pub === this.key.pub) {
+        return;
+      }
+      if (sync.importOnAdd.enabled && isTrusted && distance <= sync.importOnAdd.maxMsgDistance && !this.imported[pub]) {
+        this.imported[pub] = true;
+        this._importMessages(pub, sync.importOnAdd.maxMsgCount).catch(e => this._debug(`importing messages failed`, e));
+      }
+      const subscribe = sync.subscribe.enabled && isTrusted && distance <= sync.subscribe.maxMsgDistance;
+      if (subscribe && !this.subscriptions[pub]) {
+        this._subscribe(pub);
+      } else if (!subscribe && this.subscriptions[pub]) {
+        this._unsubscribe(pub);
+      }
+    });
+  }
+
+  /**
+  * @returns {Promise<boolean>} true if the message was valid and added to the index
+  */
+  async _addRemoteMessage(data) {
+    if (!data || !data.sig || !data.pubKey) {
+      return false;
+    }
+    try {
+      const msg = await SignedMessage.fromSig(data);
+      return await this._indexMessage(msg, true);
+    } catch (e) {
+      this._debug(`invalid message in remote index`, e);
+      return false;
+    }
+  }
+
+  /**
+  * Import the newest maxMsgCount valid messages from the index of the given public key
+  */
+  async _importMessages(pub, maxMsgCount) {
+    const entries = {};
+    const node = this.gun.user(pub).get(`iris`).get(`messagesByTimestamp`);
+    const subscription = await util.gunMapSettled(node, (data, indexKey) => {
+      entries[indexKey] = data;
+    }, {wait: IMPORT_WAIT, settle: IMPORT_SETTLE});
+    subscription.off();
+    const indexKeys = Object.keys(entries).sort().reverse(); // index keys start with the message time
+    let count = 0;
+    for (let i = 0;i < indexKeys.length && count < maxMsgCount;i++) {
+      if (await this._addRemoteMessage(entries[indexKeys[i]])) {
+        count++;
+      }
+    }
+  }
+
+  /**
+  * Listen to new messages in the index of the given public key. Older messages are left to importOnAdd.
+  * If indexSync.query is enabled, the Contacts of that index are made available to search() as well.
+  */
+  _subscribe(pub) {
+    const since = new Date().toISOString();
+    const node = this.gun.user(pub).get(`iris`);
+    const subscription = {eventListeners: {}};
+    node.get(`messagesByTimestamp`).map().on((data, indexKey, a, e) => {
+      subscription.eventListeners[`messages:${indexKey}`] = e;
+      if (indexKey >= since) {
+        this._addRemoteMessage(data);
+      }
+    });
+    if (this.options.indexSync.query.enabled) {
+      node.get(`contacts`).map().on((data, id, a, e) => {
+        subscription.eventListeners[`contacts:${id}`] = e;
+        const key = `${pub}/${id}`;
+        if (this.remoteContacts[key]) {
+          return;
+        }
+        this.remoteContacts[key] = {gun: node.get(`contacts`).get(id), attrs: {}};
+        node.get(`contacts`).get(id).get(`attrs`).map().on((attr, uri, b, e2) => {
+          subscription.eventListeners[`attrs:${id}:${uri}`] = e2;
+          if (!this.remoteContacts[key]) {
+            return;
+          }
+          if (attr && attr.type && attr.value) {
+            this.remoteContacts[key].attrs[uri] = {type: attr.type, value: attr.value};
+          } else {
+            delete this.remoteContacts[key].attrs[uri];
+          }
+        });
+      });
+    }
+    this.subscriptions[pub] = subscription;
+  }
+
+  _unsubscribe(pub) {
+    const subscription = this.subscriptions[pub];
+    Object.values(subscription.eventListeners).forEach(e => e.off());
+    Object.keys(this.remoteContacts).forEach(key => {
+      if (key.indexOf(`${pub}/`) === 0) {
+        delete this.remoteContacts[key];
+      }
+    });
+    delete this.subscriptions[pub];
+  }
+
+  /**
+  * Record a verification or unverification and apply it, if its author is in the web of trust
+  * @returns {string[]} ids of changed Contacts
+  */
+  _addVerification(msg, attrs, authorId) {
+    const v = {
+      hash: msg.hash,
+      attrs,
+      positive: msg.signedData.type === `verification`,
+      time: Date.parse(msg.signedData.time) || 0
+    };
+    this.verificationsBy[authorId] = this.verificationsBy[authorId] || [];
+    this.verificationsBy[authorId].push(v);
+    v.attrs.forEach(a => {
+      const verifiers = this.verifications[a.uri()] = this.verifications[a.uri()] || {};
+      if (!verifiers[authorId] || verifiers[authorId].time <= v.time) {
+        verifiers[authorId] = {positive: v.positive, time: v.time};
+      }
+    });
+    if (typeof this.contacts[authorId].trustDistance !== `number`) {
+      return []; // applied when the author enters the web of trust
+    }
+    return this._applyVerification(v);
+  }
+
+  /**
+  * A verification links its recipient attributes into one Contact, merging Contacts if needed.
+  * An unverification down-scores its recipient attributes and splits them off their Contact
+  * when unverifications outweigh verifications.
+  * @returns {string[]} ids of changed Contacts
+  */
+  _applyVerification(v) {
+    const changed = [];
+    const ids = addUnique([], v.attrs.map(a => this.contactIds[a.uri()]).filter(id => id));
+    if (v.positive) {
+      if (!ids.length) {
+        const unique = v.attrs.find(a => a.isUniqueType());
+        if (!unique) {
+          return [];
+        }
+        ids.push(this._getContactIdOrCreate(unique));
+      }
+      const distance = id => (typeof this.contacts[id].trustDistance === `number` ? this.contacts[id].trustDistance : Infinity);
+      ids.sort((a, b) => distance(a) - distance(b));
+      const targetId = ids[0];
+      ids.slice(1).forEach(id => addUnique(changed, this._mergeContacts(id, targetId)));
+      const target = this.contacts[targetId];
+      v.attrs.forEach(a => {
+        target.attrs[a.uri()] = target.attrs[a.uri()] || {type: a.type, value: a.value};
+        if (a.isUniqueType()) {
+          this.contactIds[a.uri()] = targetId;
+        }
+      });
+      addUnique(changed, [targetId]);
+    } else {
+      ids.forEach(id => addUnique(changed, this._splitDisputedAttrs(id, v.attrs)));
+    }
+    changed.forEach(id => this._updateVerificationCounts(id));
+    return changed;
+  }
+
+  /**
+  * A key rotation merges the Contacts of the old and the new key, so that ratings and verifications given to
+  * the old key count for the new one. The old keyID attribute is marked with rotatedTo, which makes
+  * Contact.getLinkTo() follow the rotation chain to the newest key.
+  * @returns {string[]} ids of changed Contacts
+  */
+  _addKeyRotation(oldKey, newKey, authorId, recipientId) {
+    const changed = [];
+    const distance = id => (typeof this.contacts[id].trustDistance === `number` ? this.contacts[id].trustDistance : Infinity);
+    const ids = addUnique([], [authorId, recipientId]).sort((a, b) => distance(a) - distance(b));
+    const targetId = ids[0];
+    if (ids.length > 1) {
+      addUnique(changed, this._mergeContacts(ids[1], targetId));
+    }
+    const target = this.contacts[targetId];
+    target.attrs[oldKey.uri()].rotatedTo = newKey.value;
+    addUnique(changed, [targetId]);
+    this._updateVerificationCounts(targetId);
+    this._updateSync(targetId, target.trustDistance); // the new key's index is synced like the old one's
+    return changed;
+  }
+
+  /**
+  * A retraction takes back a rating or verification signed with the same key. The retracted message stays in the index,
+  * but it is not returned by message queries and doesn't count in trust distances or verifications.
+  * If the retracted message is not indexed yet, the retraction is applied when it is.
+  * @returns {Promise<string[]>} ids of changed Contacts
+  */
+  async _addRetraction(msg) {
+    const hash = msg.signedData.retracts;
+    const target = this.messagesByHash[hash];
+    if (!target) {
+      this.pendingRetractions[hash] = (this.pendingRetractions[hash] || []).concat([msg]);
+      return [];
+    }
+    if (this.retracted[hash] || target.pubKey !== msg.pubKey) {
+      return [];
+    }
+    this.retracted[hash] = msg; // if target is still being indexed, it is now skipped
+    const type = target.signedData.type;
+    if (type === `rating`) {
+      return this._removeRating(target);
+    } else if (type === `verification` || type === `unverification`) {
+      return this._removeVerification(target);
+    }
+    return [];
+  }
+
+  /**
+  * @returns {string} id of the Contact that has one of the given unique attributes
+  */
+  _findContactId(attrs) {
+    const attr = attrs.find(a => a.isUniqueType() && this.contactIds[a.uri()]);
+    return attr && this.contactIds[attr.uri()];
+  }
+
+  async _removeRating(msg) {
+    const authorId = this._findContactId(await this._normalizeKeyIDs(msg.getAuthorArray()));
+    const recipientId = this._findContactId(await this._normalizeKeyIDs(msg.getRecipientArray()));
+    if (!authorId || !recipientId) {
+      return [];
+    }
+    return this._updateTrust(this.trustGraph.removeRating(authorId, recipientId, Date.parse(msg.signedData.time) || 0));
+  }
+
+  /**
+  * Forget a verification or unverification. The author's older verifications of the same attributes count again,
+  * and unique attributes that were linked to a Contact without other verifications are split off.
+  * @returns {Promise<string[]>} ids of changed Contacts
+  */
+  async _removeVerification(msg) {
+    const authorId = this._findContactId(await this._normalizeKeyIDs(msg.getAuthorArray()));
+    const list = this.verificationsBy[authorId] || [];
+    const i = list.findIndex(v => v.hash === msg.hash);
+    if (i === -1) {
+      return [];
+    }
+    const v = list.splice(i, 1)[0];
+    v.attrs.forEach(a => {
+      const uri = a.uri();
+      const verifiers = this.verifications[uri];
+      let latest;
+      list.forEach(other => {
+        if ((!latest || other.time > latest.time) && other.attrs.some(b => b.uri() === uri)) {
+          latest = other;
+        }
+      });
+      if (latest) {
+        verifiers[authorId] = {positive: latest.positive, time: latest.time};
+      } else {
+        delete verifiers[authorId];
+      }
+    });
+    const changed = [];
+    const ids = addUnique([], v.attrs.map(a => this.contactIds[a.uri()]).filter(id => id));
+    ids.forEach(id => addUnique(changed, this._splitDisputedAttrs(id, v.attrs, v.positive)));
+    changed.forEach(id => this._updateVerificationCounts(id));
+    return changed;
+  }
+
+  /**
+  * Split off attributes whose unverifications outweigh their verifications
+  * @param {boolean} splitUnverified also split off unique attributes that have no verifications at all
+  * @returns {string[]} ids of changed Contacts
+  */
+  _splitDisputedAttrs(id, attrs, splitUnverified = false) {
+    const contact = this.contacts[id];
+    const changed = [id];
+    attrs.forEach(a => {
+      const uri = a.uri();
+      let counts = this._getVerificationCounts(uri);
+      if (!counts && splitUnverified && a.isUniqueType()) {
+        counts = {verifications: 0, unverifications: 0};
+      }
+      if (!contact.attrs[uri] || !counts || counts.verifications * 2 > counts.unverifications * 3) {
+        return;
+      }
+      const otherUnique = Object.keys(contact.attrs).filter(k => k !== uri && this.contactIds[k] === id);
+      if (!a.isUniqueType()) {
+        delete contact.attrs[uri];
+        contact.removedAttrs = addUnique(contact.removedAttrs || [], [uri]);
+      } else if (otherUnique.length && uri !== this.rootAttribute.uri()) {
+        delete contact.attrs[uri];
+        contact.removedAttrs = addUnique(contact.removedAttrs || [], [uri]);
+        delete this.contactIds[uri];
+        changed.push(this._getContactIdOrCreate(a));
+      }
+    });
+    return changed;
+  }
+
+  /**
+  * Move the attributes, ratings and verifications of a Contact to another one
+  * @returns {string[]} ids of changed and removed Contacts
+  */
+  _mergeContacts(fromId, toId) {
+    const from = this.contacts[fromId];
+    const to = this.contacts[toId];
+    Object.keys(from.attrs).forEach(uri => {
+      to.attrs[uri] = to.attrs[uri] || from.attrs[uri];
+      if (this.contactIds[uri] === fromId) {
+        this.contactIds[uri] = toId;
+      }
+    });
+    delete this.contacts[fromId];
+    if (this.verificationsBy[fromId]) {
+      this.verificationsBy[toId] = (this.verificationsBy[toId] || []).concat(this.verificationsBy[fromId]);
+      delete this.verificationsBy[fromId];
+    }
+    Object.keys(this.verifications).forEach(uri => {
+      const verifiers = this.verifications[uri];
+      if (verifiers[fromId]) {
+        if (!verifiers[toId] || verifiers[toId].time < verifiers[fromId].time) {
+          verifiers[toId] = verifiers[fromId];
+        }
+        delete verifiers[fromId];
+      }
+    });
+    return addUnique([fromId, toId], this._updateTrust(this.trustGraph.mergeNodes(fromId, toId)));
+  }
+
+  /**
+  * @returns {Object} {verifications, unverifications} from verifiers in the web of trust, or undefined if there are none
+  */
+  _getVerificationCounts(uri) {
+    const verifiers = this.verifications[uri];
+    if (!verifiers) {
+      return;
+    }
+    const counts = {verifications: 0, unverifications: 0};
+    Object.keys(verifiers).forEach(id => {
+      if (!this.contacts[id] || typeof this.contacts[id].trustDistance !== `number`) {
+        return;
+      }
+      counts[verifiers[id].positive ? `verifications` : `unverifications`]++;
+    });
+    return counts.verifications + counts.unverifications ? counts : undefined;
+  }
+
+  /**
+  * Update the verification counters of a Contact's attributes and re-pick its linkTo
+  */
+  _updateVerificationCounts(id) {
+    const contact = this.contacts[id];
+    if (!contact) {
+      return;
+    }
+    const attrs = {};
+    Object.keys(contact.attrs).forEach(uri => {
+      const counts = this._getVerificationCounts(uri);
+      if (counts) {
+        Object.assign(contact.attrs[uri], counts);
+      }
+      attrs[uri] = Object.assign({}, contact.attrs[uri]);
+    });
+    const linkTo = Contact.getLinkTo(attrs);
+    if (linkTo && this.contactIds[new Attribute(linkTo.type, linkTo.value).uri()] === id) {
+      contact.linkTo = new Attribute(linkTo.type, linkTo.value);
+    }
+  }
+
+  /**
+  * Find the Contact of a message author or recipient by its unique attributes and add the
+  * non-unique ones (name, nickname...) to it. A new Contact is created if none of the unique attributes is known yet.
+  * @param {Attribute[]} attrs attributes of the author or recipient
+  * @param {string[]} changed ids of changed Contacts are added here
+  * @returns {string} id of the Contact, or undefined if there were no unique attributes
+  */
+  _addContactAttrs(attrs, changed) {
+    const unique = attrs.filter(a => a.isUniqueType());
+    if (!unique.length) {
+      return;
+    }
+    const known = unique.find(a => this.contactIds[a.uri()]);
+    let isChanged = !known;
+    const id = this._getContactIdOrCreate(known || unique[0]);
+    const contact = this.contacts[id];
+    attrs.forEach(a => {
+      if (a.isUniqueType()) {
+        return; // linking unique attributes is done by verification messages only
+      }
+      if (!contact.attrs[a.uri()]) {
+        contact.attrs[a.uri()] = {type: a.type, value: a.value};
+        isChanged = true;
+      }
+    });
+    if (isChanged && changed.indexOf(id) === -1) {
+      changed.push(id);
+    }
+    return id;
+  }
+
+  _getContactIdOrCreate(attr) {
+    const uri = attr.uri();
+    if (!this.contactIds[uri]) {
+      let id = uri;
+      for (let i = 1;this.contacts[id];i++) {
+        id = `${uri}:${i}`; // the original Contact of a split off attribute may still use its uri as id
+      }
+      this.contactIds[uri] = id;
+      this.contacts[id] = {
+        linkTo: attr,
+        attrs: {[uri]: {type: attr.type, value: attr.value}}
+      };
+    }
+    return this.contactIds[uri];
+  }
+
+  /**
+  * @returns {Object} gun data of the given Contacts, keyed by Contact id
+  */
+  _getContactData(ids) {
+    const data = {};
+    ids.forEach(id => {
+      const c = this.contacts[id];
+      if (!c) {
+        data[id] = null; // merged into another Contact
+        return;
+      }
+      const attrs = {};
+      (c.removedAttrs || []).forEach(uri => {
+        attrs[uri] = null;
+      });
+      delete c.removedAttrs;
+      Object.keys(c.attrs).forEach(uri => {
+        attrs[uri] = Object.assign({}, c.attrs[uri]);
+      });
+      data[id] = {
+        linkTo: {type: c.linkTo.type, value: c.linkTo.value},
+        attrs,
+        trustDistance: typeof c.trustDistance === `number` ? c.trustDistance : false,
+        receivedPositive: c.receivedPositive || 0,
+        receivedNegative: c.receivedNegative || 0
+      };
+    });
+    return data;
+  }
+
+  _getContactAttrUris(contact) {
+    const uri = typeof contact.linkTo === `string` ? contact.linkTo : contact.linkTo.uri();
+    const id = this.contactIds[uri] || uri;
+    return this.contacts[id] ? Object.keys(this.contacts[id].attrs) : [uri];
+  }
+
+  _getMsgs(nodes, options = {}) {
+    if (typeof options.callback !== `function`) {
+      throw new Error(`options.callback must be a function`);
+    }
+    const seen = {};
+    let count = 0;
+    nodes.forEach(node => {
+      node.map().once(async data => {
+        if (!data || !data.sig || !data.pubKey || (options.limit && count >= options.limit)) {
+          return;
+        }
+        try {
+          const msg = await SignedMessage.fromSig(data);
+          const hash = await msg.getHash();
+          if (seen[hash] || this.retracted[hash] || msg.isExpired() || (options.limit && count >= options.limit)) {
+            return;
+          }
+          if (typeof options.bridged === `boolean` && msg.isBridged() !== options.bridged) {
+            return;
+          }
+          seen[hash] = true;
+          count++;
+          options.callback(msg);
+        } catch (e) {
+          this._debug(`invalid message in index`, e);
+        }
+      });
+    });
+  }
+
+  /**
+  * Get messages from the index in timestamp order
+  * @param {Object} options {callback, limit, bridged}. bridged: true to get only bridged messages (see SignedMessage.bridge()), false to leave them out. By default both are returned.
+  */
+  async getMessagesByTimestamp(options) {
+    await this.ready;
+    this._getMsgs([this.root.get(`messagesByTimestamp`)], options);
+  }
+
+  /**
+  * Get replies to a message from the index. Replies are messages whose signedData.replyTo is the message hash.
+  * @param {string} hash message hash
+  * @param {Object} options {callback, limit, bridged}
+  */
+  async getReplies(hash: string, options) {
+    await this.ready;
+    this._getMsgs([this.root.get(`messagesByReplyTo`).get(hash)], options);
+  }
+
+  /**
+  * Get quotes and reposts of a message from the index
+  * @param {string} hash message hash
+  * @param {Object} options {callback, limit, bridged}
+  */
+  async getQuotes(hash: string, options) {
+    await this.ready;
+    this._getMsgs([this.root.get(`messagesByQuote`).get(hash)], options);
+  }
+
+  /**
+  * Load a message and its replies from the index as a tree
+  * @param {string} hash hash of the thread's root message
+  * @param {Object} options (optional) {depth: levels of replies to load (default 3), maxBreadth: max replies per message (default 50)}
+  * @returns {Promise<Object>} {hash, message, replies}, where message is the SignedMessage (undefined if it's not in the index) and replies is an array of such objects in time order
+  */
+  async getThread(hash: string, options = {}) {
+    await this.ready;
+    const depth = typeof options.depth === `number` ? options.depth : 3;
+    const thread = {hash, message: this.messagesByHash[hash], replies: []};
+    if (!thread.message) {
+      const data = await util.loadGunDepth(this.root.get(`messagesByHash`).get(hash), 1);
+      thread.message = await this._fromIndexData(data);
+    }
+    if (depth > 0) {
+      thread.replies = await this._getThreadReplies(hash, depth, options.maxBreadth);
+    }
+    return thread;
+  }
+
+  async _getThreadReplies(hash, depth, maxBreadth) {
+    const layer = await util.loadGunDepth(this.root.get(`messagesByReplyTo`).get(hash), 1, {maxBreadth});
+    const replies = {};
+    const keys = Object.keys(layer || {}).filter(k => k !== `_`);
+    for (let i = 0;i < keys.length;i++) {
+      const msg = await this._fromIndexData(layer[keys[i]]);
+      const replyHash = msg && (await msg.getHash());
+      if (msg && msg.signedData.replyTo === hash && !this.retracted[replyHash]) {
+        replies[replyHash] = {hash: replyHash, message: msg, replies: []};
+      }
+    }
+    const sorted = Object.values(replies).sort((a, b) => ((a.message.signedData.time || ``) < (b.message.signedData.time || ``) ? -1 : 1));
+    if (depth > 1) {
+      for (let i = 0;i < sorted.length;i++) {
+        sorted[i].replies = await this._getThreadReplies(sorted[i].hash, depth - 1, maxBreadth);
+      }
+    }
+    return sorted;
+  }
+
+  async _fromIndexData(data) {
+    if (!data || !data.sig || !data.pubKey) {
+      return undefined;
+    }
+    try {
+      return await SignedMessage.fromSig(data);
+    } catch (e) {
+      this._debug(`invalid message in index`, e);
+    }
+  }
+
+  /**
+  * Used by Contact.sent()
+  * @param {Contact} contact message author
+  * @param {Object} options {callback, limit, bridged}
+  */
+  async _getSentMsgs(contact, options) {
+    await this.ready;
+    const nodes = this._getContactAttrUris(contact).map(uri => this.root.get(`messagesByAuthor`).get(uri));
+    this._getMsgs(nodes, options);
+  }
+
+  /**
+  * Used by Contact.received()
+  * @param {Contact} contact message recipient
+  * @param {Object} options {callback, limit, bridged}
+  */
+  async _getReceivedMsgs(contact, options) {
+    await this.ready;
+    const nodes = this._getContactAttrUris(contact).map(uri => this.root.get(`messagesByRecipient`).get(uri));
+    this._getMsgs(nodes, options);
+  }
+}
+
+export default SocialNetwork;
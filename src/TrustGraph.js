@@ -0,0 +1,266 @@
+/**
+* Web of trust computed from rating messages.
+*
+* Nodes are Contact ids and edges are the latest rating given by one Contact to another.
+* Earlier ratings are kept so that they are restored if the latest one is removed.
+* Positive ratings from the root or from Contacts within the web of trust make the recipient part of it:
+* trustDistance is the number of positive rating hops from the root. Ratings are counted in
+* receivedPositive / receivedNegative only when their author is in the web of trust.
+*
+* Usually you don't use this directly: SocialNetwork feeds it the rating messages it indexes.
+* @param {string} rootId id of the root Contact, whose trustDistance is 0
+* @example
+* var graph = new iris.TrustGraph('alice');
+* graph.addRating('alice', 'bob', 1);
+* graph.getTrustDistance('bob'); // 1
+*/
+class TrustGraph {
+  constructor(rootId: string) {
+    this.rootId = rootId;
+    this.ratingsBy = {}; // rater id -> recipient id -> {value, time}
+    this.ratingsTo = {}; // recipient id -> rater id -> {value, time}
+    this.history = {}; // rater id -> recipient id -> [{value, time}] sorted by time
+    this.distances = {[rootId]: 0};
+    this.received = {};
+  }
+
+  /**
+  * Add a rating. A rating from the same rater to the same recipient replaces the older one.
+  * @param {string} raterId id of the rating author
+  * @param {string} recipientId id of the rating recipient
+  * @param {number} value > 0 for positive, < 0 for negative and 0 for neutral rating
+  * @param {number} time (optional) rating time in milliseconds. Older ratings don't replace newer ones.
+  * @returns {string[]} ids of Contacts whose trustDistance or received ratings changed
+  */
+  addRating(raterId: string, recipientId: string, value: number, time: number = 0) {
+    if (raterId === recipientId) {
+      return [];
+    }
+    const old = this.ratingsBy[raterId] && this.ratingsBy[raterId][recipientId];
+    const rating = {value: Math.sign(value), time};
+    this._addToHistory(raterId, recipientId, rating);
+    if (old && old.time > time) {
+      return [];
+    }
+    return this._setRating(raterId, recipientId, old, rating);
+  }
+
+  /**
+  * Remove a rating, e.g. when it has been retracted. If it was the latest rating between the two Contacts,
+  * the rater's previous rating of the recipient, if any, takes its place.
+  * @param {string} raterId id of the rating author
+  * @param {string} recipientId id of the rating recipient
+  * @param {number} time (optional) time of the rating to remove. Defaults to the latest rating.
+  * @returns {string[]} ids of Contacts whose trustDistance or received ratings changed
+  */
+  removeRating(raterId: string, recipientId: string, time: number) {
+    const history = (this.history[raterId] && this.history[raterId][recipientId]) || [];
+    const i = time === undefined ? history.length - 1 : history.findIndex(r => r.time === time);
+    if (i < 0) {
+      return [];
+    }
+    history.splice(i, 1);
+    if (!history.length) {
+      delete this.history[raterId][recipientId];
+    }
+    const old = this.ratingsBy[raterId] && this.ratingsBy[raterId][recipientId];
+    if (i < history.length) {
+      return []; // an earlier rating was removed, the latest one stays
+    }
+    return this._setRating(raterId, recipientId, old, history[history.length - 1]);
+  }
+
+  /**
+  * Replace the rating from raterId to recipientId, or delete it if rating is undefined
+  * @returns {string[]} ids of Contacts whose trustDistance or received ratings changed
+  */
+  _setRating(raterId, recipientId, old, rating) {
+    if (rating) {
+      this.ratingsBy[raterId] = this.ratingsBy[raterId] || {};
+      this.ratingsBy[raterId][recipientId] = rating;
+      this.ratingsTo[recipientId] = this.ratingsTo[recipientId] || {};
+      this.ratingsTo[recipientId][raterId] = rating;
+    } else {
+      delete this.ratingsBy[raterId][recipientId];
+      delete this.ratingsTo[recipientId][raterId];
+    }
+
+    const value = rating ? rating.value : 0;
+    let changed;
+    if (old && old.value > 0 && value <= 0) {
+      changed = this._recompute(); // a trust edge was removed
+    } else if (value > 0) {
+      changed = this._relax([raterId]);
+    } else {
+      changed = [];
+    }
+    if (changed.indexOf(recipientId) === -1) {
+      changed.push(recipientId);
+    }
+    return this._updateReceived(changed);
+  }
+
+  _addToHistory(raterId, recipientId, rating) {
+    this.history[raterId] = this.history[raterId] || {};
+    const history = this.history[raterId][recipientId] = this.history[raterId][recipientId] || [];
+    const i = history.findIndex(r => r.time >= rating.time);
+    if (i === -1) {
+      history.push(rating);
+    } else if (history[i].time === rating.time) {
+      history[i] = rating;
+    } else {
+      history.splice(i, 0, rating);
+    }
+  }
+
+  /**
+  * Merge two nodes when they turn out to be the same Contact. Ratings given and received by fromId are moved to toId.
+  * @param {string} fromId id of the node that is removed
+  * @param {string} toId id of the node that is kept
+  * @returns {string[]} ids of Contacts whose trustDistance or received ratings changed
+  */
+  mergeNodes(fromId: string, toId: string) {
+    if (fromId === toId || fromId === this.rootId) {
+      return [];
+    }
+    const move = (ratings, otherRatings) => {
+      Object.keys(ratings[fromId] || {}).forEach(otherId => {
+        const rating = ratings[fromId][otherId];
+        delete otherRatings[otherId][fromId];
+        if (otherId === toId) {
+          return;
+        }
+        ratings[toId] = ratings[toId] || {};
+        const existing = ratings[toId][otherId];
+        if (!existing || existing.time <= rating.time) {
+          ratings[toId][otherId] = rating;
+          otherRatings[otherId][toId] = rating;
+        }
+      });
+      delete ratings[fromId];
+    };
+    const affected = Object.keys(this.ratingsBy[fromId] || {});
+    move(this.ratingsBy, this.ratingsTo);
+    move(this.ratingsTo, this.ratingsBy);
+    Object.keys(this.history).forEach(raterId => {
+      Object.keys(this.history[raterId]).forEach(recipientId => {
+        if (raterId !== fromId && recipientId !== fromId) {
+          return;
+        }
+        const history = this.history[raterId][recipientId];
+        delete this.history[raterId][recipientId];
+        const newRaterId = raterId === fromId ? toId : raterId;
+        const newRecipientId = recipientId === fromId ? toId : recipientId;
+        if (newRaterId !== newRecipientId) {
+          history.forEach(rating => this._addToHistory(newRaterId, newRecipientId, rating));
+        }
+      });
+    });
+    delete this.history[fromId];
+    delete this.distances[fromId];
+    delete this.received[fromId];
+    const changed = this._recompute().filter(id => id !== fromId);
+    affected.concat([toId]).forEach(id => {
+      if (id !== fromId && changed.indexOf(id) === -1) {
+        changed.push(id);
+      }
+    });
+    return this._updateReceived(changed);
+  }
+
+  /**
+  * @param {string} id Contact id
+  * @returns {number|undefined} number of positive rating hops from the root, or undefined if not in the web of trust
+  */
+  getTrustDistance(id: string) {
+    return this.distances[id];
+  }
+
+  /**
+  * @param {string} id Contact id
+  * @returns {Object} {receivedPositive, receivedNegative} counts of ratings from the web of trust
+  */
+  getReceived(id: string) {
+    return this.received[id] || {receivedPositive: 0, receivedNegative: 0};
+  }
+
+  /**
+  * Propagate distances from the given nodes breadth-first along positive ratings
+  * @returns {string[]} ids whose distance changed
+  */
+  _relax(startIds) {
+    const changed = [];
+    const queue = startIds.filter(id => this.distances[id] !== undefined);
+    while (queue.length) {
+      const id = queue.shift();
+      const ratings = this.ratingsBy[id] || {};
+      Object.keys(ratings).forEach(recipientId => {
+        if (ratings[recipientId].value <= 0) {
+          return;
+        }
+        const d = this.distances[id] + 1;
+        if (this.distances[recipientId] === undefined || this.distances[recipientId] > d) {
+          this.distances[recipientId] = d;
+          if (changed.indexOf(recipientId) === -1) {
+            changed.push(recipientId);
+          }
+          queue.push(recipientId);
+        }
+      });
+    }
+    // recipients of newly trusted raters have their received counts changed
+    changed.slice().forEach(id => {
+      Object.keys(this.ratingsBy[id] || {}).forEach(recipientId => {
+        if (changed.indexOf(recipientId) === -1) {
+          changed.push(recipientId);
+        }
+      });
+    });
+    return changed;
+  }
+
+  /**
+  * Compute all distances from scratch
+  * @returns {string[]} ids whose distance or received counts may have changed
+  */
+  _recompute() {
+    const old = this.distances;
+    this.distances = {[this.rootId]: 0};
+    this._relax([this.rootId]);
+    const changed = [];
+    Object.keys(old).concat(Object.keys(this.distances)).forEach(id => {
+      if (old[id] !== this.distances[id] && changed.indexOf(id) === -1) {
+        changed.push(id);
+      }
+    });
+    changed.slice().forEach(id => {
+      Object.keys(this.ratingsBy[id] || {}).forEach(recipientId => {
+        if (changed.indexOf(recipientId) === -1) {
+          changed.push(recipientId);
+        }
+      });
+    });
+    return changed;
+  }
+
+  _updateReceived(ids) {
+    ids.forEach(id => {
+      const received = {receivedPositive: 0, receivedNegative: 0};
+      const ratings = this.ratingsTo[id] || {};
+      Object.keys(ratings).forEach(raterId => {
+        if (this.distances[raterId] === undefined) {
+          return;
+        }
+        if (ratings[raterId].value > 0) {
+          received.receivedPositive++;
+        } else if (ratings[raterId].value < 0) {
+          received.receivedNegative++;
+        }
+      });
+      this.received[id] = received;
+    });
+    return ids;
+  }
+}
+
+export default TrustGraph;
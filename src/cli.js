@@ -0,0 +1,273 @@
+/* jshint esversion: 9 */
+
+/*
+ * Iris command-line interface. All commands print machine-readable JSON to stdout
+ * (one object per line) and errors as {"error": "..."} to stderr with exit code 1.
+ *
+ * Run with:
+ *   iris <command> [args] [--option=value]
+ * where iris is bin/iris, or from a script:
+ *   require('iris-lib/cjs/cli.js')(['key']);
+ *
+ * Special environment variables:
+ *   IRIS_GUN_PEERS - semicolon-separated peers that gun should connect to, same as in server.js.
+ *   IRIS_KEY_PASSPHRASE - passphrase of the encrypted key, same as in server.js. Overridden by --passphrase.
+ */
+
+import fs from 'fs';
+import Gun from 'gun';
+import 'gun/sea';
+import Key from './Key';
+import SignedMessage from './SignedMessage';
+import Channel from './Channel';
+import SocialNetwork from './SocialNetwork';
+import Archive from './Archive';
+
+const DEFAULT_DATADIR = `./.iris`;
+const DEFAULT_KEYFILE = `iris.default.key`;
+const DEFAULT_PEERS = `http://localhost:8765/gun`;
+
+const USAGE = `Usage: iris <command> [args] [options]
+
+Commands:
+  keygen [--force]               generate a new key and save it in datadir
+  key [--private]                print the active public key, or the whole keypair
+  import [file] [--format=json]  import a keypair from file or stdin (format: json, mnemonic, qr, backup)
+  export [--format=json]         print the active keypair (format: json, mnemonic, qr, backup)
+  passphrase --new=<passphrase>  change the passphrase of the stored key. Empty --new= stores it unencrypted.
+  sign [file] [--type=rating]    sign signedData JSON from file or stdin (type: rating, verification, unverification or other)
+  verify [message]               verify a message string given as argument or from stdin
+  import-archive [file] [--types=rating,post] [--wait=2]  verify and add messages from an NDJSON or JSON array archive to your index (types: comma-separated or all)
+  export-archive [file] [--wait=5]  write your signed messages, profile, follows, reactions and channels list as an NDJSON archive to file or stdout
+  send <pub> <text> [--wait=2] [--timeout=10]  send a Channel message to a public key
+  read <pub> [--timeout=5] [--limit=n]  print Channel messages with a public key
+
+Options:
+  --datadir=${DEFAULT_DATADIR}  --keyfile=${DEFAULT_KEYFILE}  --peers=url1;url2  --passphrase=<passphrase>
+  --backup-passphrase=<passphrase> (backup format only, defaults to --passphrase)`;
+
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  argv.forEach(arg => {
+    if (arg.indexOf(`--`) === 0) {
+      const i = arg.indexOf(`=`);
+      if (i > -1) {
+        options[arg.slice(2, i)] = arg.slice(i + 1);
+      } else {
+        options[arg.slice(2)] = true;
+      }
+    } else {
+      args.push(arg);
+    }
+  });
+  return {args, options};
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let data = ``;
+    stream.setEncoding(`utf8`);
+    stream.on(`data`, chunk => data += chunk);
+    stream.on(`end`, () => resolve(data));
+    stream.on(`error`, reject);
+  });
+}
+
+function sleep(seconds) {
+  return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+}
+
+function withTimeout(promise, seconds, message) {
+  return Promise.race([
+    promise,
+    sleep(seconds).then(() => { throw new Error(message); })
+  ]);
+}
+
+/**
+* Run an iris command
+* @param {string[]} argv command line arguments without node and script path
+* @param {Object} io (optional) {stdin, stdout, stderr, fs} to use instead of process streams and node fs
+* @returns {Promise<number>} exit code
+*/
+async function cli(argv, io = {}) {
+  io = Object.assign({stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, fs}, io);
+  const {args, options} = parseArgs(argv);
+  const command = args.shift();
+  const datadir = options.datadir || DEFAULT_DATADIR;
+  const keyfile = options.keyfile || DEFAULT_KEYFILE;
+  const passphrase = typeof options.passphrase === `string` ? options.passphrase : process.env.IRIS_KEY_PASSPHRASE;
+  const print = obj => io.stdout.write(`${JSON.stringify(obj)}\n`);
+  const input = async file => (file ? io.fs.readFileSync(file, `utf8`) : readStream(io.stdin));
+
+  const ensureDatadir = () => {
+    if (!io.fs.existsSync(datadir)) {
+      io.fs.mkdirSync(datadir);
+    }
+  };
+  const getKey = () => {
+    ensureDatadir();
+    return Key.getActiveKey(datadir, keyfile, io.fs, passphrase);
+  };
+  const getGun = () => {
+    const peers = (options.peers || process.env.IRIS_GUN_PEERS || DEFAULT_PEERS).split(`;`).filter(p => p);
+    return new Gun({peers, radisk: false, localStorage: false, multicast: false});
+  };
+
+  try {
+    switch (command) {
+    case `keygen`: {
+      ensureDatadir();
+      if (io.fs.existsSync(`${datadir}/${keyfile}`) && !options.force) {
+        throw new Error(`${datadir}/${keyfile} already exists. Use --force to overwrite.`);
+      }
+      const key = await Key.generate();
+      await Key.setActiveKey(key, true, datadir, keyfile, io.fs, passphrase);
+      print({pub: key.pub, epub: key.epub, keyID: await Key.getId(key)});
+      break;
+    }
+    case `key`: {
+      const key = await getKey();
+      print(options.private ? key : {pub: key.pub, epub: key.epub, keyID: await Key.getId(key)});
+      break;
+    }
+    case `import`: {
+      const str = await input(args[0]);
+      let key;
+      if (options.format === `mnemonic`) {
+        key = await Key.fromMnemonic(str);
+      } else if (options.format === `qr`) {
+        key = await Key.fromQrString(str);
+      } else if (options.format === `backup`) {
+        key = await Key.fromBackup(str, options[`backup-passphrase`] || passphrase);
+      } else {
+        key = Key.fromString(str);
+      }
+      if (!(key && key.pub && key.priv && key.epub && key.epriv)) {
+        throw new Error(`Invalid keypair: pub, priv, epub and epriv are required`);
+      }
+      if (!(await Key.isValidPair(key))) {
+        throw new Error(`Invalid keypair: public keys don't match private keys`);
+      }
+      ensureDatadir();
+      await Key.setActiveKey(key, true, datadir, keyfile, io.fs, passphrase);
+      print({pub: key.pub, epub: key.epub, keyID: await Key.getId(key)});
+      break;
+    }
+    case `export`: {
+      const key = await getKey();
+      if (options.format === `mnemonic`) {
+        print({mnemonic: await Key.toMnemonic(key)});
+      } else if (options.format === `qr`) {
+        print({qr: await Key.toQrString(key)});
+      } else if (options.format === `backup`) {
+        const backupPassphrase = options[`backup-passphrase`] || passphrase;
+        if (!backupPassphrase) {
+          throw new Error(`--backup-passphrase or --passphrase is required for backup`);
+        }
+        io.stdout.write(`${await Key.toBackup(key, backupPassphrase)}\n`);
+      } else {
+        print(key);
+      }
+      break;
+    }
+    case `passphrase`: {
+      if (typeof options.new !== `string`) {
+        throw new Error(`Usage: iris passphrase --new=<passphrase>`);
+      }
+      const key = await Key.changePassphrase(passphrase, options.new, datadir, keyfile, io.fs);
+      print({pub: key.pub, encrypted: !!options.new});
+      break;
+    }
+    case `sign`: {
+      const signedData = JSON.parse(await input(args[0]));
+      const key = await getKey();
+      const type = options.type || signedData.type;
+      let msg;
+      if (SignedMessage.getRegisteredTypes().indexOf(type) > -1) {
+        msg = await SignedMessage.createOfType(type, signedData, key);
+      } else {
+        msg = await SignedMessage.create(signedData, key);
+      }
+      print({hash: await msg.getHash(), message: msg.toString(), signedData: msg.signedData});
+      break;
+    }
+    case `verify`: {
+      const str = (args[0] || await input()).trim();
+      try {
+        const msg = await SignedMessage.fromString(str);
+        print({valid: true, hash: await msg.getHash(), signerKeyID: await msg.getSignerKeyID(), signedData: msg.signedData});
+      } catch (e) {
+        print({valid: false, error: e.message});
+        return 1;
+      }
+      break;
+    }
+    case `import-archive`: {
+      const archive = await input(args[0]);
+      let indexSync;
+      if (options.types) {
+        const msgTypes = {};
+        options.types.split(`,`).filter(t => t).forEach(t => msgTypes[t] = true);
+        indexSync = {msgTypes};
+      }
+      const index = new SocialNetwork({gun: getGun(), keypair: await getKey(), indexSync});
+      const report = await Archive.importMessages(index, archive);
+      await sleep(isNaN(options.wait) ? 2 : Number(options.wait)); // give gun time to deliver the index to peers
+      print(report);
+      break;
+    }
+    case `export-archive`: {
+      const gun = getGun();
+      await sleep(isNaN(options.wait) ? 5 : Number(options.wait)); // give gun time to load data from peers
+      const archive = await Archive.exportIdentity(gun, await getKey());
+      if (args[0]) {
+        io.fs.writeFileSync(args[0], archive);
+      } else {
+        io.stdout.write(archive);
+      }
+      break;
+    }
+    case `send`: {
+      if (!args[0] || !args[1]) {
+        throw new Error(`Usage: iris send <pub> <text>`);
+      }
+      const channel = new Channel({gun: getGun(), key: await getKey(), participants: args[0]});
+      const time = new Date().toISOString();
+      const timeout = isNaN(options.timeout) ? 10 : Number(options.timeout);
+      await withTimeout(channel.send({text: args.slice(1).join(` `), time}), timeout, `Sending timed out. Is the recipient's epub available from the peers?`);
+      await sleep(isNaN(options.wait) ? 2 : Number(options.wait)); // give gun time to deliver the message
+      print({sent: true, to: args[0], time});
+      break;
+    }
+    case `read`: {
+      if (!args[0]) {
+        throw new Error(`Usage: iris read <pub>`);
+      }
+      const limit = Number(options.limit) || Infinity;
+      const channel = new Channel({gun: getGun(), key: await getKey(), participants: args[0]});
+      const msgs = [];
+      channel.getMessages((msg, info) => {
+        msgs.push(Object.assign({}, msg, {from: info.from, selfAuthored: info.selfAuthored}));
+      });
+      await sleep(isNaN(options.timeout) ? 5 : Number(options.timeout));
+      msgs.sort((a, b) => (a.time < b.time ? -1 : 1));
+      msgs.slice(-limit).forEach(print);
+      break;
+    }
+    case `help`:
+    case undefined:
+      io.stdout.write(`${USAGE}\n`);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n${USAGE}`);
+    }
+  } catch (e) {
+    io.stderr.write(`${JSON.stringify({error: e.message})}\n`);
+    return 1;
+  }
+  return 0;
+}
+
+export default cli;
@@ -18,16 +18,23 @@ class FollowButton extends Component {
 
   componentDidMount() {
     util.injectCss();
-    Key.getDefault().then(key => {
-      util.getPublicState().user().auth(key);
-      util.getPublicState().user().get('follow').get(this.props.user).on((following, a, b, e) => {
-        this.setState({following});
-        this.eventListeners['follow'] = e;
-      });
+    Key.getDefault().then(key => this.setKey(key));
+    this.removeKeyListener = Key.onActiveKeyChange(key => this.setKey(key));
+  }
+
+  setKey(key) {
+    Object.values(this.eventListeners).forEach(e => e.off());
+    this.eventListeners = {};
+    this.key = key;
+    util.authPublicState(key);
+    util.getPublicState().user(key.pub).get('follow').get(this.props.user).on((following, a, b, e) => {
+      this.setState({following});
+      this.eventListeners['follow'] = e;
     });
   }
 
   componentWillUnmount() {
+    this.removeKeyListener && this.removeKeyListener();
     Object.values(this.eventListeners).forEach(e => e.off());
   }
 
@@ -20,11 +20,18 @@ class Search extends Component {
       this.fuse = new Fuse(Object.values(this.follows), options);
       this.search();
     }, 200);
-    Key.getDefault().then(key => {
-      this.key = key;
-      util.getPublicState().user().auth(key);
-      this.getFollowsFn(() => this.debouncedIndexAndSearch());
-    });
+    Key.getDefault().then(key => this.setKey(key));
+    this.removeKeyListener = Key.onActiveKeyChange(key => this.setKey(key));
+  }
+
+  setKey(key) {
+    Object.values(this.eventListeners).forEach(e => e.off());
+    this.eventListeners = {};
+    this.key = key;
+    this.follows = {};
+    this.hasFollows = false;
+    util.authPublicState(key);
+    this.getFollowsFn(() => this.debouncedIndexAndSearch());
   }
 
   onInput() {
@@ -46,18 +53,25 @@ class Search extends Component {
         }
         this.follows[k].followers.add(follower);
       } else {
-        this.follows[k] = {key: k, followDistance, followers: new Set([follower])};
-        util.getPublicState().user(k).get('profile').get('name').on(name => {
-          this.follows[k].name = name;
-          callback(k, this.follows[k]);
+        const follow = {key: k, followDistance, followers: new Set([follower])};
+        this.follows[k] = follow;
+        util.getPublicState().user(k).get('profile').get('name').on((name, a, b, e) => {
+          this.eventListeners[`name:${k}`] = e;
+          follow.name = name;
+          callback(k, follow);
         });
       }
       callback(k, this.follows[k]);
     };
 
     addFollow(k, currentDepth - 1);
+    if (this.follows[k].traversed) {
+      return this.follows;
+    }
+    this.follows[k].traversed = true;
 
-    util.getPublicState().user(k).get('follow').map().once((isFollowing, followedKey) => { // TODO: .on for unfollow
+    util.getPublicState().user(k).get('follow').map().on((isFollowing, followedKey, a, e) => { // TODO: handle unfollow
+      this.eventListeners[`follow:${k}:${followedKey}`] = e;
       if (isFollowing) {
         this.hasFollows = true;
         addFollow(followedKey, currentDepth, k);
@@ -84,6 +98,7 @@ class Search extends Component {
   }
 
   componentWillUnmount() {
+    this.removeKeyListener && this.removeKeyListener();
     Object.values(this.eventListeners).forEach(e => e.off());
   }
 
@@ -7,6 +7,11 @@ import Attribute from './Attribute';
 import util from './util';
 import Key from './Key';
 import Channel from './Channel';
+import SocialNetwork from './SocialNetwork';
+import TrustGraph from './TrustGraph';
+import SignatureCache from './SignatureCache';
+import Archive from './Archive';
+import Ratchet from './Ratchet';
 import {version} from '../package.json';
 import Identicon from './components/Identicon';
 import TextNode from './components/TextNode';
@@ -23,6 +28,11 @@ export default {
   Attribute,
   Key,
   Channel,
+  SocialNetwork,
+  TrustGraph,
+  SignatureCache,
+  Archive,
+  Ratchet,
   util,
   components: {
     Identicon,
@@ -0,0 +1,31 @@
+/**
+* Word list for Key mnemonics: 256 words, one for each byte value. First four letters of each word are unique.
+*/
+export default [
+  `able`, `acid`, `acorn`, `actor`, `adult`, `agent`, `alarm`, `album`, `alley`, `amber`, `angel`,
+  `ankle`, `apple`, `apron`, `arena`, `armor`, `arrow`, `atlas`, `attic`, `audio`, `autumn`,
+  `awake`, `axis`, `baby`, `bacon`, `badge`, `bagel`, `baker`, `bamboo`, `banana`, `banjo`,
+  `barrel`, `basket`, `beach`, `beard`, `beaver`, `bench`, `berry`, `birch`, `board`, `bonus`,
+  `border`, `bottle`, `boxer`, `brain`, `branch`, `bread`, `breeze`, `brick`, `bridge`, `broom`,
+  `bubble`, `bucket`, `bundle`, `butter`, `cabin`, `cactus`, `camel`, `candle`, `canoe`, `canyon`,
+  `carpet`, `carrot`, `castle`, `cattle`, `cedar`, `cellar`, `chalk`, `cheese`, `cherry`, `chess`,
+  `circus`, `clock`, `cloud`, `clover`, `coconut`, `comet`, `copper`, `coral`, `cotton`, `cougar`,
+  `crater`, `crayon`, `cricket`, `crystal`, `curtain`, `cushion`, `daisy`, `dancer`, `decade`,
+  `delta`, `desert`, `diamond`, `dinner`, `doctor`, `dolphin`, `donkey`, `dragon`, `drum`, `eagle`,
+  `earth`, `echo`, `eclipse`, `elbow`, `eleven`, `empire`, `engine`, `equator`, `eraser`,
+  `evening`, `falcon`, `farmer`, `feather`, `fence`, `ferry`, `fiddle`, `finger`, `flame`, `flute`,
+  `forest`, `fossil`, `fox`, `galaxy`, `garden`, `garlic`, `gecko`, `ginger`, `giraffe`, `glacier`,
+  `globe`, `goat`, `gorilla`, `grape`, `gravel`, `guitar`, `hammer`, `harbor`, `harvest`, `hazel`,
+  `helmet`, `hero`, `hockey`, `honey`, `horizon`, `hotel`, `hunter`, `husky`, `igloo`, `index`,
+  `insect`, `island`, `ivory`, `jacket`, `jaguar`, `jelly`, `jewel`, `jigsaw`, `jungle`, `kayak`,
+  `kettle`, `kidney`, `kitten`, `koala`, `ladder`, `lagoon`, `lantern`, `laptop`, `lemon`,
+  `leopard`, `letter`, `lizard`, `lobster`, `locket`, `lunar`, `magnet`, `mango`, `maple`,
+  `marble`, `meadow`, `melon`, `mirror`, `monkey`, `mosaic`, `muffin`, `museum`, `napkin`,
+  `nectar`, `needle`, `nest`, `noodle`, `nutmeg`, `oasis`, `ocean`, `olive`, `onion`, `orange`,
+  `orbit`, `orchid`, `otter`, `oven`, `owl`, `oyster`, `paddle`, `palace`, `panda`, `parrot`,
+  `peach`, `pebble`, `pencil`, `pepper`, `piano`, `pickle`, `pigeon`, `pillow`, `pirate`, `planet`,
+  `pocket`, `potato`, `pumpkin`, `puzzle`, `quartz`, `quilt`, `rabbit`, `radar`, `radio`, `raven`,
+  `ribbon`, `rocket`, `saddle`, `salmon`, `sandal`, `scarf`, `shadow`, `shark`, `silver`, `skate`,
+  `sled`, `snail`, `spider`, `sponge`, `tablet`, `tiger`, `tomato`, `tunnel`, `turtle`, `velvet`,
+  `violin`, `volcano`, `wagon`, `walnut`, `whale`, `window`, `wizard`, `yogurt`, `zebra`, `zipper`
+];
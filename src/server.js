@@ -16,9 +16,10 @@
  * Special environment variables:
  *   IRIS_GUN_PEERS - colon-separated peers that gun should try to connect to.
  *     Example: "http://localhost:123/gun/;http://1.2.3.4:5678/gun/"
+ *   IRIS_KEY_PASSPHRASE - passphrase of the encrypted key file. A new key is stored encrypted with it.
  */
 
-import {exists, mkdir, readFile} from 'fs';
+import fs, {exists, mkdir, readFile} from 'fs';
 import {promisify} from 'util';
 
 import Gun from 'gun'; // eslint-disable-line no-unused-vars
@@ -77,11 +78,9 @@ let configFile = `${configDir}/config.json`;
   const config = JSON.parse(await fsReadFile(configFile));
 
   // Read-in keyfile, or generate (and store) a new key pair
-  const key = Iris.Key.getDefault(configDir, keyFileName);
+  const key = await Iris.Key.getDefault(configDir, keyFileName, fs, process.env.IRIS_KEY_PASSPHRASE);
   debug(`Key!`, key);
 
-  // TODO: If executed with --gen-keys => just generate keys, save, output to stdout, exit
-
   // Gun specific options (defaults)
   const gunConfig = {
     peers: {'http://localhost:8765/gun': {}},
@@ -108,10 +107,22 @@ let configFile = `${configDir}/config.json`;
 
   // Load default Iris index with given configuration
   config.gun = gun;
+  config.keypair = key;
   const index = new Iris.SocialNetwork(config);
+  await index.ready;
   debug(`index!`, index);
 
-  //await index.create(); // Create an index, if one does not exist
+  // Remove expired messages from local storage every indexSync.pruneExpired.interval seconds
+  const prune = index.options.indexSync.pruneExpired;
+  if (prune.enabled) {
+    setInterval(async () => {
+      const count = await index.pruneExpired();
+      if (count) {
+        debug(`pruned ${count} expired messages`);
+      }
+    }, prune.interval * 1000);
+  }
+
   console.info(`Iris is up and running!`);
 })().catch(e => {
   console.error(e);
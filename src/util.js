@@ -44,6 +44,37 @@ function gunOnceDefined(node) {
   });
 }
 
+/**
+* Subscribe to the children of a node with map().on(). The returned promise resolves once they have settled:
+* settle ms after the latest child arrived, or wait ms after the start if none did, but at most maxWait ms after the start.
+* callback keeps being called for changes until off() is called.
+* @param {Object} node gun node
+* @param {Function} callback function(data, key)
+* @param {Object} opts (optional) {wait = 1000, settle = 100, maxWait = 5000} in milliseconds
+* @returns {Promise<Object>} {off} to unsubscribe
+*/
+function gunMapSettled(node, callback, opts = {}) {
+  const {wait = 1000, settle = 100, maxWait = 5000} = opts;
+  const eventListeners = {};
+  const subscription = {off: () => Object.values(eventListeners).forEach(e => e.off())};
+  return new Promise(resolve => {
+    let timer;
+    const done = () => {
+      clearTimeout(timer);
+      clearTimeout(maxTimer);
+      resolve(subscription);
+    };
+    timer = setTimeout(done, wait); // nothing is called back for a node without children
+    const maxTimer = setTimeout(done, maxWait);
+    node.map().on((data, key, a, e) => {
+      eventListeners[key] = e;
+      callback(data, key);
+      clearTimeout(timer);
+      timer = setTimeout(done, settle);
+    });
+  });
+}
+
 async function loadGunDepth(chain, maxDepth = 2, opts = {}) {
   opts.maxBreadth = opts.maxBreadth || 50;
   opts.cache = opts.cache || {};
@@ -77,12 +108,33 @@ async function loadGunDepth(chain, maxDepth = 2, opts = {}) {
     return Promise.all(promises).then(() => layer);
   });
 }
+/**
+* Deterministic JSON: object keys sorted by UTF-16 code units, no whitespace.
+* undefined values and functions are left out like JSON.stringify does.
+*/
+function canonicalJSON(value) {
+  if (value === null || typeof value !== `object`) {
+    return JSON.stringify(value);
+  }
+  if (typeof value.toJSON === `function`) {
+    return canonicalJSON(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined || typeof v === `function` ? `null` : canonicalJSON(v))).join(`,`)}]`;
+  }
+  const keys = Object.keys(value).filter(k => value[k] !== undefined && typeof value[k] !== `function`).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(`,`)}}`;
+}
 
 export default {
   loadGunDepth: loadGunDepth,
 
+  canonicalJSON: canonicalJSON,
+
   gunOnceDefined: gunOnceDefined,
 
+  gunMapSettled: gunMapSettled,
+
   gunAsAnotherUser: gunAsAnotherUser,
 
   getHash: async function(str, format = `base64`) {
@@ -99,6 +151,19 @@ export default {
     return hash;
   },
 
+  /**
+  * HMAC-SHA256 with the platform's crypto: OpenSSL on node.js, WebCrypto in browser.
+  * @returns {Promise<string>} base64 HMAC of str with key
+  */
+  getHmac: async function(str, key) {
+    if (isNode) {
+      return require(`crypto`).createHmac(`sha256`, key).update(str).digest(`base64`);
+    }
+    const subtle = window.crypto.subtle;
+    const cryptoKey = await subtle.importKey(`raw`, Buffer.from(key), {name: `HMAC`, hash: `SHA-256`}, false, [`sign`]);
+    return Buffer.from(await subtle.sign(`HMAC`, cryptoKey, Buffer.from(str))).toString(`base64`);
+  },
+
   base64ToHex(str) {
     const raw = atob(str);
     let result = '';
@@ -471,6 +536,11 @@ export default {
         color: rgba(0, 0, 0, 0.45);
       }
 
+      .iris-msg-content.iris-deleted {
+        font-style: italic;
+        color: rgba(0, 0, 0, 0.45);
+      }
+
       .iris-non-string {
         color: blue;
       }
@@ -589,6 +659,17 @@ export default {
     return this.publicState;
   },
 
+  /**
+  * Log the public state user in as key, unless it already is. The user is shared by all components, so never leave() it.
+  */
+  authPublicState(key) {
+    const user = this.getPublicState().user();
+    if (!(user.is && user.is.pub === key.pub)) {
+      user.auth(key);
+    }
+    return user;
+  },
+
   createElement(type, cls, parent) {
     const el = document.createElement(type);
     if (cls) {